@@ -1,5 +1,6 @@
 /* global WebSocket, atob */
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const WebSocket = require("ws");
@@ -8,8 +9,29 @@ const ACTION_TEXT = "com.pillowfresco.birdnetmqtt.lastdetection";
 const ACTION_IMAGE = "com.pillowfresco.birdnetmqtt.image";
 const ACTION_BORDER = "com.pillowfresco.birdnetmqtt.border";
 const ACTION_TODAY = "com.pillowfresco.birdnetmqtt.today";
+const ACTION_WATCHLIST = "com.pillowfresco.birdnetmqtt.watchlist";
+const ACTION_ACTIVITY = "com.pillowfresco.birdnetmqtt.activity";
+const ACTION_STATS = "com.pillowfresco.birdnetmqtt.stats";
+const ACTION_RECENT = "com.pillowfresco.birdnetmqtt.recent";
+const ACTION_SUN = "com.pillowfresco.birdnetmqtt.sun";
 
-const DEFAULTS = {
+// Station profiles and logging are shared by every key through the global settings.
+const GLOBAL_DEFAULTS = {
+  stations: [],
+  debugLogging: false,
+  historyRetentionDays: 90,
+  historyMaxDetections: 20000,
+  imageCacheMegabytes: 50,
+  timeZone: "",
+  dayStartHour: 0,
+  payloadProfiles: [],
+  nameTranslations: ""
+};
+
+// Each station is a named broker connection feeding its own detections.
+const STATION_DEFAULTS = {
+  id: "default",
+  name: "Default",
   mqttHost: "mqtt://localhost",
   mqttPort: 1883,
   mqttTopic: "birdnet",
@@ -17,36 +39,257 @@ const DEFAULTS = {
   mqttUsername: "",
   mqttPassword: "",
   mqttTls: false,
+  mqttTransport: "",
+  mqttCaPath: "",
+  mqttCertPath: "",
+  mqttKeyPath: "",
+  mqttRejectUnauthorized: true,
+  minConfidence: 0,
+  includeSpecies: "",
+  excludeSpecies: "",
+  confirmCount: 1,
+  confirmMinutes: 10,
+  latitude: "",
+  longitude: "",
+  payloadProfile: "auto"
+};
+
+// Display settings are stored per key, so two keys of the same action can differ.
+const KEY_DEFAULTS = {
+  stationId: "",
   payloadKey: "CommonName",
   rotationSeconds: 4,
   epicOccurrenceThreshold: 0.1,
   rareOccurrenceThreshold: 0.4,
   uncommonOccurrenceThreshold: 0.7,
   rareHoldMultiplier: 2,
-  debugLogging: false
+  pressAction: "default",
+  longPressAction: "default",
+  recentCount: 5,
+  newSpeciesAlert: "year",
+  newHoldSeconds: 300,
+  watchlist: "",
+  watchAlertMode: "flash",
+  activityWindow: "hour",
+  activityStyle: "bars",
+  dawnStartHour: 4,
+  dawnEndHour: 9,
+  statsMetric: "species",
+  todaySort: "rarest",
+  todayMinTier: "all",
+  todayGroup: "",
+  todayWindow: "day",
+  imageShowRarity: true,
+  imageShowName: false,
+  imageConfidence: "off",
+  sunEvent: "sunrise",
+  nameDisplay: "common",
+  translateNames: false,
+  watchAlert: null
+};
+
+const LONG_PRESS_MS = 600;
+const BROWSE_RESET_MS = 15000;
+// Detections kept per station for browsing; the list is saved with the cache.
+const MAX_RECENT = 50;
+// A first-ever sighting is also the first of the year and of the month.
+const NEW_KIND_RANK = { month: 1, year: 2, ever: 3 };
+const WATCH_FLASH_MS = 1000;
+const AGO_REFRESH_MS = 30000;
+const ACTIVITY_REFRESH_MS = 60000;
+// Rolling windows end now; each compares its latest bucket with the average bucket over the baseline.
+const ACTIVITY_WINDOWS = {
+  hour: { label: "LAST HOUR", bucketMs: 5 * 60 * 1000, buckets: 12, baselineMs: 24 * 60 * 60 * 1000 },
+  day: { label: "24 HOURS", bucketMs: 60 * 60 * 1000, buckets: 24, baselineMs: 7 * 24 * 60 * 60 * 1000 },
+  dawn: { label: "DAWN", bucketMs: 15 * 60 * 1000, baselineDays: 7 }
+};
+const ACTIVITY_WINDOW_ORDER = ["hour", "day", "dawn"];
+const STATS_REFRESH_MS = 60000;
+const STATS_METRIC_ORDER = ["species", "detections", "rare", "sunrise"];
+const TIER_RANK = { Unknown: 0, Common: 0, Uncommon: 1, Rare: 2, Epic: 3 };
+const MIN_TIERS = { all: null, uncommon: "Uncommon", rare: "Rare", epic: "Epic" };
+const TODAY_SORTS = {
+  rarest: (a, b) => occurrenceOrOne(a) - occurrenceOrOne(b),
+  recent: (a, b) => (b.lastSeen || 0) - (a.lastSeen || 0),
+  first: (a, b) => (a.firstSeen || a.lastSeen || 0) - (b.firstSeen || b.lastSeen || 0),
+  alpha: (a, b) => a.name.localeCompare(b.name),
+  confidence: (a, b) => (b.maxConfidence ?? b.confidence ?? 0) - (a.maxConfidence ?? a.confidence ?? 0),
+  count: (a, b) => (b.count || 1) - (a.count || 1)
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sun altitudes in degrees: civil twilight at -6, and the upper limb on the horizon after refraction at -0.833.
+const SUN_EVENTS = {
+  dawn: { label: "DAWN", altitude: -6, rising: true, color: "#a78bfa" },
+  sunrise: { label: "SUNRISE", altitude: -0.833, rising: true, color: "#fbbf24" },
+  sunset: { label: "SUNSET", altitude: -0.833, rising: false, color: "#f97316" },
+  dusk: { label: "DUSK", altitude: -6, rising: false, color: "#818cf8" }
+};
+const SUN_EVENT_ORDER = ["dawn", "sunrise", "sunset", "dusk"];
+const SUN_REFRESH_MS = 30000;
+// How far the countdown looks ahead for a sunrise that polar night has put off.
+const SUN_SEARCH_DAYS = 190;
+const PAYLOAD_FIELDS = ["name", "scientificName", "speciesCode", "confidence", "occurrence", "timestamp", "imageUrl", "source"];
+// Built-in payload mappings; user profiles in the global settings have the same shape. Each field lists
+// JSON paths to try in order, and "Date+Time" joins two fields with a space. "auto" tries the names used
+// by every feed we have seen, and is how payloads were read before profiles existed.
+const PAYLOAD_PROFILES = [
+  {
+    id: "auto",
+    name: "Auto detect",
+    confidenceScale: "auto",
+    paths: {
+      name: "CommonName, ScientificName, SpeciesCode, common_name, commonName, species, scientific_name, scientificName, label, name, bird_name, detection, attributes.common_name, attributes.species, event.common_name, event.species, results.0.common_name, results.0.species",
+      scientificName: "ScientificName, scientific_name, scientificName",
+      speciesCode: "SpeciesCode, species_code, speciesCode",
+      confidence: "Confidence, confidence, attributes.confidence, attributes.Confidence, event.confidence, event.Confidence",
+      occurrence: "occurrence, Occurrence",
+      timestamp: "Date+Time, date+time",
+      imageUrl: "BirdImage.URL, BirdImage.Url, BirdImage.url, birdImage.URL, birdImage.url, imageUrl, image_url, image",
+      source: "Source.displayName, Source, source"
+    }
+  },
+  {
+    id: "birdnet-go",
+    name: "BirdNET-Go",
+    confidenceScale: "fraction",
+    paths: {
+      name: "CommonName",
+      scientificName: "ScientificName",
+      speciesCode: "SpeciesCode",
+      confidence: "Confidence",
+      occurrence: "Occurrence, occurrence",
+      timestamp: "Date+Time",
+      imageUrl: "BirdImage.URL",
+      source: "Source.displayName, Source"
+    }
+  },
+  {
+    id: "birdnet-pi",
+    name: "BirdNET-Pi",
+    confidenceScale: "auto",
+    paths: {
+      name: "Com_Name, CommonName, common_name",
+      scientificName: "Sci_Name, ScientificName, scientific_name",
+      speciesCode: "",
+      confidence: "Confidence, confidence",
+      occurrence: "",
+      timestamp: "Date+Time, date+time",
+      imageUrl: "image_url, Image",
+      source: "File_Name"
+    }
+  },
+  {
+    id: "frigate",
+    name: "Frigate",
+    confidenceScale: "fraction",
+    paths: {
+      name: "after.sub_label.0, after.sub_label, after.label",
+      scientificName: "",
+      speciesCode: "",
+      confidence: "after.sub_label.1, after.top_score, after.score",
+      occurrence: "",
+      timestamp: "after.start_time",
+      imageUrl: "",
+      source: "after.camera"
+    }
+  }
+];
+const STATION_SYNC_DELAY_MS = 750;
+const IMAGE_MEMORY_MAX_BYTES = 8 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const IMAGE_FETCH_RETRIES = 2;
+const IMAGE_RETRY_DELAY_MS = 1000;
+// Keys get the @2x size; the dial touch strip icon is drawn at 56px, so the small size is plenty.
+const IMAGE_KEY_SIZE = 144;
+const IMAGE_ICON_SIZE = 72;
+const IMAGE_JPEG_QUALITY = 80;
+// Decoding runs on the same thread as every key and the MQTT keepalive, so big photos are refused
+// rather than decoded: 6 megapixels is 24 MB of RGBA and well under a second to decode.
+const IMAGE_DOWNLOAD_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_MAX_PIXELS = 6000000;
+const IMAGE_DECODE_MEMORY_MB = 64;
+const IMAGE_FAILURES_MAX = 200;
+const CREDIT_SHOW_MS = 5000;
+const MQTT_TRANSPORTS = ["mqtt", "mqtts", "ws", "wss"];
+const SECURE_TRANSPORTS = ["mqtts", "wss"];
+// CONNACK return codes for MQTT 3.1.1 (4, 5) and reason codes for MQTT 5 (134, 135, 138).
+const AUTH_REJECT_CODES = [4, 5, 134, 135, 138];
+const DNS_ERROR_CODES = ["ENOTFOUND", "EAI_AGAIN"];
+const UNREACHABLE_ERROR_CODES = ["ECONNREFUSED", "EHOSTUNREACH", "ENETUNREACH", "ETIMEDOUT", "ECONNRESET"];
+// Connection states that can still show the last detection, marked as stale.
+const SOFT_STATUS_STATES = ["connecting", "offline", "unreachable", "error"];
+const PRESS_BEHAVIORS = {
+  [ACTION_TODAY]: { press: "next", longPress: "pause", allowed: ["next", "pause", "none"] },
+  [ACTION_TEXT]: { press: "cycle", longPress: "latest", allowed: ["cycle", "latest", "none"] },
+  [ACTION_BORDER]: { press: "cycle", longPress: "latest", allowed: ["cycle", "latest", "none"] },
+  [ACTION_IMAGE]: { press: "cycle", longPress: "latest", allowed: ["cycle", "latest", "credit", "none"] },
+  [ACTION_WATCHLIST]: { press: "acknowledge", longPress: "acknowledge", allowed: ["acknowledge", "none"] },
+  [ACTION_ACTIVITY]: { press: "window", longPress: "none", allowed: ["window", "none"] },
+  [ACTION_STATS]: { press: "metric", longPress: "none", allowed: ["metric", "none"] },
+  [ACTION_RECENT]: { press: "older", longPress: "newer", allowed: ["older", "newer", "latest", "none"] },
+  [ACTION_SUN]: { press: "event", longPress: "none", allowed: ["event", "none"] }
 };
 
 let websocket = null;
 let uuid = null;
 let actionContext = null;
 const contexts = new Map();
-let settings = { ...DEFAULTS };
-let globalSettings = { ...DEFAULTS };
+const contextSettings = new Map();
+let globalSettings = { ...GLOBAL_DEFAULTS, stations: [{ ...STATION_DEFAULTS }] };
 let globalSettingsLoaded = false;
-let mqttClient = null;
 let mqttLib = null;
-const detectionTimestamps = [];
+let imageCodecs = null;
+const stations = new Map();
+const cachedStations = new Map();
+// Image data URIs in memory and image files on disk, both least recently used first.
 const imageCache = new Map();
+let imageMemoryBytes = 0;
+const imageIndex = new Map();
+const imageCacheDir = path.join(__dirname, "image-cache");
+const imageIndexFile = path.join(imageCacheDir, "index.json");
+let imageIndexSaveTimer = null;
+// Lookups reorder the index for eviction without saving it; the order is written with the next change or at exit.
+let imageIndexReordered = false;
 const imageInFlight = new Map();
-const dailyBirds = new Map();
+// URLs that failed for good (client errors, images that cannot be shrunk), so redraws don't download them again.
+const imageFailures = new Set();
+// The detection each image key is waiting to draw, so a slow fetch never replaces a newer bird.
+const imageTargets = new Map();
+const creditTimers = new Map();
+// The key whose property inspector is open, which is sent the photo credit as it changes.
+let inspectorContext = null;
 const rotationState = new Map();
-let latestDetection = null;
-let latestImageUrl = null;
+// Today's Birds keys that share a group name page through the list together, one species per key.
+const groupRotation = new Map();
+const placements = new Map();
+// Contexts on a Stream Deck+ dial draw to the touch strip with setFeedback instead of a key image.
+const encoders = new Set();
+const keyDownAt = new Map();
+const browseState = new Map();
+// How far back each Recent Detections key is looking; missing means the newest.
+const recentOffsets = new Map();
+// Watchlist keys keep listening while on another page, so an alert is waiting when they come back.
+const watchKeys = new Map();
+const watchAlerts = new Map();
+// Keys that redraw on a clock (activity charts, daily stats) rather than only on new detections.
+const tickTimers = new Map();
 const logFile = path.join(__dirname, "birdnet-mqtt-plugin.log");
 const pendingLogs = [];
 const cacheFile = path.join(__dirname, "birdnet-mqtt-cache.json");
 let cacheSaveTimer = null;
-let debugEnabled = DEFAULTS.debugLogging;
+// Every detection per station, oldest first, kept for historyRetentionDays.
+const history = new Map();
+const historyFile = path.join(__dirname, "birdnet-mqtt-history.json");
+let historySaveTimer = null;
+// First and last sighting per species per station; unlike history it never expires.
+const speciesSeen = new Map();
+const newBadgeTimers = new Map();
+let stationSyncTimer = null;
+let debugEnabled = GLOBAL_DEFAULTS.debugLogging;
+// Formatter for the configured time zone, rebuilt when the zone changes.
+let zoneFormatter = null;
+// Parsed name translations, rebuilt when the table changes.
+let translationCache = null;
 
 function logLine(message) {
   if (!debugEnabled) {
@@ -64,6 +307,8 @@ function logLine(message) {
 
 logLine("plugin loaded");
 loadCache();
+loadHistory();
+loadImageCache();
 
 function loadCache() {
   try {
@@ -75,36 +320,56 @@ function loadCache() {
       return;
     }
     const data = JSON.parse(raw);
-    const todayKey = new Date().toISOString().slice(0, 10);
-    if (data && data.dateKey === todayKey && Array.isArray(data.birds)) {
-      const dayMap = new Map();
-      data.birds.forEach((record) => {
-        if (!record || !record.name) {
-          return;
-        }
-        dayMap.set(record.name, {
-          name: record.name,
-          occurrence: typeof record.occurrence === "number" ? record.occurrence : null,
-          confidence: typeof record.confidence === "number" ? record.confidence : null,
-          lastSeen: typeof record.lastSeen === "number" ? record.lastSeen : Date.now()
-        });
-      });
-      if (dayMap.size) {
-        dailyBirds.set(todayKey, dayMap);
+    // Caches written before stations existed hold a single station at the top level.
+    const entries = data && data.stations && typeof data.stations === "object"
+      ? Object.entries(data.stations)
+      : [[STATION_DEFAULTS.id, data]];
+    entries.forEach(([stationId, entry]) => {
+      if (entry && typeof entry === "object") {
+        cachedStations.set(stationId, entry);
       }
-    }
-    if (data && data.latestDetection && data.latestDetection.name) {
-      latestDetection = data.latestDetection;
-    }
-    if (data && typeof data.latestImageUrl === "string") {
-      latestImageUrl = data.latestImageUrl;
-    }
-    logLine("cache loaded");
+    });
+    logLine(`cache loaded stations=${cachedStations.size}`);
   } catch (err) {
     logLine(`cache load failed ${err && err.message ? err.message : err}`);
   }
 }
 
+function hydrateStation(station, data) {
+  const todayKey = getDayKey();
+  if (data.dateKey === todayKey && Array.isArray(data.birds)) {
+    const dayMap = new Map();
+    data.birds.forEach((record) => {
+      if (!record || !record.name) {
+        return;
+      }
+      dayMap.set(record.name, {
+        name: record.name,
+        scientificName: record.scientificName || null,
+        speciesCode: record.speciesCode || null,
+        keyNames: record.keyNames && typeof record.keyNames === "object" ? record.keyNames : null,
+        occurrence: typeof record.occurrence === "number" ? record.occurrence : null,
+        confidence: typeof record.confidence === "number" ? record.confidence : null,
+        maxConfidence: typeof record.maxConfidence === "number" ? record.maxConfidence : null,
+        count: typeof record.count === "number" ? record.count : 1,
+        firstSeen: typeof record.firstSeen === "number" ? record.firstSeen : null,
+        lastSeen: typeof record.lastSeen === "number" ? record.lastSeen : Date.now()
+      });
+    });
+    if (dayMap.size) {
+      station.dailyBirds.set(todayKey, dayMap);
+    }
+  }
+  if (data.latestDetection && data.latestDetection.name) {
+    station.latestDetection = data.latestDetection;
+  }
+  if (Array.isArray(data.recent)) {
+    station.recentDetections = data.recent
+      .filter((record) => record && record.name && typeof record.heardAt === "number")
+      .slice(0, MAX_RECENT);
+  }
+}
+
 function scheduleCacheSave() {
   if (cacheSaveTimer) {
     return;
@@ -117,21 +382,386 @@ function scheduleCacheSave() {
 
 function saveCache() {
   try {
-    const todayKey = new Date().toISOString().slice(0, 10);
-    const dayMap = dailyBirds.get(todayKey);
-    const birds = dayMap ? Array.from(dayMap.values()) : [];
-    const payload = {
-      dateKey: todayKey,
-      birds,
-      latestDetection: latestDetection || null,
-      latestImageUrl: latestImageUrl || null
-    };
-    fs.writeFileSync(cacheFile, JSON.stringify(payload), "utf8");
+    const todayKey = getDayKey();
+    const payload = { stations: {} };
+    cachedStations.forEach((entry, stationId) => {
+      payload.stations[stationId] = entry;
+    });
+    stations.forEach((station) => {
+      // A station made before the global settings arrived has not read its cache entry yet.
+      if (!station.hydrated) {
+        return;
+      }
+      const dayMap = station.dailyBirds.get(todayKey);
+      const birds = dayMap ? Array.from(dayMap.values()).map(stripPayload) : [];
+      payload.stations[station.id] = {
+        dateKey: todayKey,
+        birds,
+        latestDetection: station.latestDetection ? stripPayload(station.latestDetection) : null,
+        recent: station.recentDetections.map(stripPayload)
+      };
+    });
+    writeFileAtomic(cacheFile, JSON.stringify(payload));
   } catch (err) {
     logLine(`cache save failed ${err && err.message ? err.message : err}`);
   }
 }
 
+function stripPayload(record) {
+  const { json, ...rest } = record;
+  return rest;
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file behind.
+function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, contents, "utf8");
+  fs.renameSync(tempFile, file);
+}
+
+function loadHistory() {
+  try {
+    if (!fs.existsSync(historyFile)) {
+      return;
+    }
+    const raw = fs.readFileSync(historyFile, "utf8").trim();
+    if (!raw) {
+      return;
+    }
+    const data = JSON.parse(raw);
+    const entries = data && data.stations && typeof data.stations === "object" ? Object.entries(data.stations) : [];
+    let total = 0;
+    entries.forEach(([stationId, list]) => {
+      if (!Array.isArray(list)) {
+        return;
+      }
+      const records = list
+        .filter((record) => record && typeof record.ts === "number" && typeof record.name === "string")
+        .sort((a, b) => a.ts - b.ts);
+      pruneHistory(records, Date.now());
+      if (records.length) {
+        history.set(stationId, records);
+        total += records.length;
+      }
+    });
+    const species = data && data.species && typeof data.species === "object" ? data.species : null;
+    if (species) {
+      Object.entries(species).forEach(([stationId, entries]) => {
+        if (entries && typeof entries === "object") {
+          speciesSeen.set(stationId, new Map(Object.entries(entries).filter(([, entry]) => entry && typeof entry.first === "number")));
+        }
+      });
+    } else {
+      // Files written before first-seen tracking only have the detections to go on.
+      history.forEach((records, stationId) => {
+        const seen = new Map();
+        records.forEach((record) => {
+          const entry = seen.get(record.name);
+          seen.set(record.name, entry ? { ...entry, last: record.ts } : { first: record.ts, last: record.ts });
+        });
+        speciesSeen.set(stationId, seen);
+      });
+    }
+    logLine(`history loaded stations=${history.size} detections=${total} species=${speciesSeen.size}`);
+  } catch (err) {
+    logLine(`history load failed ${err && err.message ? err.message : err}`);
+  }
+}
+
+function scheduleHistorySave() {
+  if (historySaveTimer) {
+    return;
+  }
+  historySaveTimer = setTimeout(() => {
+    historySaveTimer = null;
+    saveHistory();
+  }, 2000);
+}
+
+function saveHistory() {
+  try {
+    const payload = { version: 1, stations: {}, species: {} };
+    history.forEach((records, stationId) => {
+      payload.stations[stationId] = records;
+    });
+    speciesSeen.forEach((seen, stationId) => {
+      payload.species[stationId] = Object.fromEntries(seen);
+    });
+    writeFileAtomic(historyFile, JSON.stringify(payload));
+  } catch (err) {
+    logLine(`history save failed ${err && err.message ? err.message : err}`);
+  }
+}
+
+function getHistoryLimits() {
+  const days = Number(globalSettings.historyRetentionDays);
+  const max = Number(globalSettings.historyMaxDetections);
+  return {
+    retentionMs: (Number.isFinite(days) && days > 0 ? days : GLOBAL_DEFAULTS.historyRetentionDays) * 24 * 60 * 60 * 1000,
+    maxDetections: Number.isFinite(max) && max > 0 ? Math.floor(max) : GLOBAL_DEFAULTS.historyMaxDetections
+  };
+}
+
+// Drops detections older than the retention window, then the oldest beyond the size cap.
+function pruneHistory(records, now) {
+  const limits = getHistoryLimits();
+  const cutoff = now - limits.retentionMs;
+  let drop = 0;
+  while (drop < records.length && records[drop].ts < cutoff) {
+    drop += 1;
+  }
+  drop = Math.max(drop, records.length - limits.maxDetections);
+  if (drop > 0) {
+    records.splice(0, drop);
+  }
+  return drop;
+}
+
+function pruneAllHistory() {
+  const now = Date.now();
+  let dropped = 0;
+  for (const [stationId, records] of Array.from(history)) {
+    dropped += pruneHistory(records, now);
+    if (!records.length) {
+      history.delete(stationId);
+    }
+  }
+  if (dropped) {
+    logLine(`history pruned detections=${dropped}`);
+    scheduleHistorySave();
+  }
+}
+
+// Returns the saved record, or null for a retained message that was already recorded.
+function recordHistory(station, detection, isRetained) {
+  const ts = detection.detectedAt || Date.now();
+  if (!history.has(station.id)) {
+    history.set(station.id, []);
+  }
+  const records = history.get(station.id);
+  // A retained message is replayed on every connect; only keep it if it was missed while offline.
+  if (isRetained && (!detection.detectedAt || records.some((record) => record.ts === ts && record.name === detection.name))) {
+    return null;
+  }
+  const record = {
+    ts,
+    name: detection.name,
+    scientificName: detection.scientificName || null,
+    speciesCode: detection.speciesCode || null,
+    keyNames: detection.keyNames || null,
+    confidence: typeof detection.confidence === "number" ? detection.confidence : null,
+    occurrence: typeof detection.occurrence === "number" ? detection.occurrence : null,
+    imageUrl: detection.imageUrl || null
+  };
+  let index = records.length;
+  while (index > 0 && records[index - 1].ts > ts) {
+    index -= 1;
+  }
+  records.splice(index, 0, record);
+  pruneHistory(records, Date.now());
+  scheduleHistorySave();
+  return record;
+}
+
+// Marks the detection's species when it is the station's first of it ever, this year or this month.
+function trackFirstSeen(station, detection) {
+  const ts = detection.detectedAt || Date.now();
+  if (!speciesSeen.has(station.id)) {
+    speciesSeen.set(station.id, new Map());
+  }
+  const seen = speciesSeen.get(station.id);
+  const entry = seen.get(detection.name);
+  let kind = null;
+  if (!entry) {
+    kind = "ever";
+  } else if (ts > entry.last) {
+    // Day keys are YYYY-MM-DD, so their prefixes give the year and month on the same boundary as the day.
+    const current = getDayKey(ts);
+    const previous = getDayKey(entry.last);
+    if (current.slice(0, 4) !== previous.slice(0, 4)) {
+      kind = "year";
+    } else if (current.slice(0, 7) !== previous.slice(0, 7)) {
+      kind = "month";
+    }
+  }
+  const next = entry
+    ? { ...entry, first: Math.min(entry.first, ts), last: Math.max(entry.last, ts) }
+    : { first: ts, last: ts };
+  if (kind) {
+    next.newKind = kind;
+    next.newAt = Date.now();
+    logLine(`first seen station=${station.id} species=${detection.name} kind=${kind}`);
+  }
+  seen.set(detection.name, next);
+  scheduleHistorySave();
+  return kind;
+}
+
+// The kind of first sighting to highlight for a species, if it qualifies for the key and happened after `since`.
+function getNewKind(station, name, keySettings, since) {
+  const wanted = NEW_KIND_RANK[keySettings.newSpeciesAlert];
+  const seen = speciesSeen.get(station.id);
+  const entry = seen && name ? seen.get(name) : null;
+  if (!wanted || !entry || !entry.newKind || typeof entry.newAt !== "number") {
+    return null;
+  }
+  if (NEW_KIND_RANK[entry.newKind] < wanted || entry.newAt < since) {
+    return null;
+  }
+  return entry.newKind;
+}
+
+function getNewHoldMs(keySettings) {
+  const seconds = Number(keySettings.newHoldSeconds);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : KEY_DEFAULTS.newHoldSeconds) * 1000;
+}
+
+// Circle, meter and image keys highlight a first sighting for the key's hold time, then redraw without it.
+function getHeldNewKind(context, station, name) {
+  const keySettings = getKeySettings(context);
+  const holdMs = getNewHoldMs(keySettings);
+  const kind = getNewKind(station, name, keySettings, Date.now() - holdMs);
+  clearNewBadgeTimer(context);
+  if (kind) {
+    const entry = speciesSeen.get(station.id).get(name);
+    const remaining = Math.max(0, entry.newAt + holdMs - Date.now());
+    newBadgeTimers.set(context, setTimeout(() => {
+      newBadgeTimers.delete(context);
+      refreshContext(context);
+    }, remaining + 50));
+  }
+  return kind;
+}
+
+function clearNewBadgeTimer(context) {
+  const timer = newBadgeTimers.get(context);
+  if (timer) {
+    clearTimeout(timer);
+  }
+  newBadgeTimers.delete(context);
+}
+
+// Detections for a station between two timestamps, oldest first.
+function getHistory(stationId, since, until) {
+  const records = history.get(stationId) || [];
+  const end = typeof until === "number" ? until : Infinity;
+  return records.filter((record) => record.ts >= since && record.ts < end);
+}
+
+// Calendar fields of a timestamp in the configured time zone, or the system zone when none is set.
+function getZoneParts(ts) {
+  const timeZone = globalSettings.timeZone || undefined;
+  if (!zoneFormatter || zoneFormatter.timeZone !== timeZone) {
+    let format = null;
+    const options = { hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" };
+    try {
+      format = new Intl.DateTimeFormat("en-US", { ...options, timeZone });
+    } catch (err) {
+      logLine(`unknown time zone ${timeZone}, using the system zone`);
+      format = new Intl.DateTimeFormat("en-US", options);
+    }
+    zoneFormatter = { timeZone, format };
+  }
+  const parts = {};
+  zoneFormatter.format.formatToParts(new Date(ts)).forEach((part) => {
+    if (part.type !== "literal") {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  return parts;
+}
+
+// Converts a wall-clock time in the configured zone to a timestamp; the second pass settles DST changes.
+function getZoneTime(year, month, day, hour, minute = 0, second = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (ts) => {
+    const parts = getZoneParts(ts);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(ts / 1000) * 1000;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+function getDayStartHour() {
+  const hour = Math.floor(Number(globalSettings.dayStartHour));
+  return Number.isFinite(hour) ? Math.max(0, Math.min(23, hour)) : GLOBAL_DEFAULTS.dayStartHour;
+}
+
+// The YYYY-MM-DD "day" a timestamp belongs to; before dayStartHour it still counts as the previous day.
+function getDayKey(ts = Date.now()) {
+  const parts = getZoneParts(ts);
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (parts.hour < getDayStartHour()) {
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function getDayStart(ts = Date.now()) {
+  const [year, month, day] = getDayKey(ts).split("-").map(Number);
+  return getZoneTime(year, month, day, getDayStartHour());
+}
+
+// The station's coordinates in degrees, or null until both are set.
+function getStationLocation(station) {
+  const config = station.config || getStationConfig(station.id);
+  if (String(config.latitude).trim() === "" || String(config.longitude).trim() === "") {
+    return null;
+  }
+  const latitude = Number(config.latitude);
+  const longitude = Number(config.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// Dawn, sunrise, sunset and dusk around the solar noon nearest ts, from the usual low-precision solar
+// position formulas (good to a minute or two). An event is null on days the sun never crosses its altitude.
+function getSunTimes(ts, location) {
+  const rad = Math.PI / 180;
+  const west = -location.longitude * rad;
+  const phi = location.latitude * rad;
+  const days = ts / DAY_MS + 2440587.5 - 2451545;
+  const cycle = Math.round(days - 0.0009 - west / (2 * Math.PI));
+  const transit = 0.0009 + west / (2 * Math.PI) + cycle;
+  const anomaly = rad * (357.5291 + 0.98560028 * transit);
+  const center = rad * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const eclipticLongitude = anomaly + center + rad * 102.9372 + Math.PI;
+  const noon = transit + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(rad * 23.4397));
+  const times = {};
+  Object.entries(SUN_EVENTS).forEach(([event, { altitude, rising }]) => {
+    const cosHour = (Math.sin(altitude * rad) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+    if (!(cosHour >= -1 && cosHour <= 1)) {
+      times[event] = null;
+      return;
+    }
+    const offset = Math.acos(cosHour) / (2 * Math.PI);
+    times[event] = Math.round((noon + (rising ? -offset : offset) + 2451545 - 2440587.5) * DAY_MS);
+  });
+  return times;
+}
+
+// The latest event at or before `now` (direction -1) or the first one after it (direction 1), or null when
+// the sun does not cross that altitude within `days` days.
+function findSunEvent(location, event, now, direction, days = 2) {
+  let found = null;
+  for (let offset = -1; offset <= days; offset += 1) {
+    const ts = getSunTimes(now + direction * offset * DAY_MS, location)[event];
+    if (ts === null) {
+      continue;
+    }
+    if (direction < 0 ? ts <= now && (found === null || ts > found) : ts > now && (found === null || ts < found)) {
+      found = ts;
+    }
+    if (found !== null && offset >= 1) {
+      break;
+    }
+  }
+  return found;
+}
+
 process.on("uncaughtException", (err) => {
   logLine(`uncaughtException ${err && err.stack ? err.stack : err}`);
 });
@@ -140,6 +770,14 @@ process.on("unhandledRejection", (err) => {
   logLine(`unhandledRejection ${err && err.stack ? err.stack : err}`);
 });
 
+process.on("SIGTERM", () => process.exit(0));
+
+process.on("exit", () => {
+  if (imageIndexSaveTimer || imageIndexReordered) {
+    saveImageIndex();
+  }
+});
+
 function parseActionInfo(inActionInfo) {
   if (!inActionInfo) {
     return null;
@@ -189,19 +827,20 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inRegisterEvent, inInfo,
     }
 
     if (message.event === "didReceiveSettings") {
-      settings = { ...DEFAULTS, ...globalSettings, ...(message.payload.settings || {}) };
-      debugEnabled = Boolean(settings.debugLogging);
-      logLine(`didReceiveSettings ${JSON.stringify(settings)}`);
-      restartMqtt();
+      setContextSettings(message.context, message.payload.settings);
+      logLine(`didReceiveSettings ${JSON.stringify(getKeySettings(message.context))}`);
+      refreshContext(message.context);
     }
 
     if (message.event === "didReceiveGlobalSettings") {
-      globalSettings = { ...DEFAULTS, ...(message.payload.settings || {}) };
+      globalSettings = normalizeGlobalSettings(message.payload.settings);
       globalSettingsLoaded = true;
-      settings = { ...DEFAULTS, ...globalSettings, ...(message.payload.settings || {}) };
-      debugEnabled = Boolean(settings.debugLogging);
-      logLine(`didReceiveGlobalSettings ${JSON.stringify(globalSettings)}`);
-      restartMqtt();
+      stations.forEach((station) => hydrateCachedStation(station));
+      debugEnabled = Boolean(globalSettings.debugLogging);
+      logLine(`didReceiveGlobalSettings stations=${globalSettings.stations.map((station) => station.id).join(",")}`);
+      scheduleStationSync();
+      pruneWatchKeys();
+      forEachContext(null, (context) => refreshContext(context));
     }
 
     if (message.event === "willAppear") {
@@ -209,1078 +848,3502 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inRegisterEvent, inInfo,
       if (message.context && message.action) {
         contexts.set(message.context, message.action);
       }
-      settings = { ...DEFAULTS, ...globalSettings, ...(message.payload.settings || {}) };
-      debugEnabled = Boolean(settings.debugLogging);
-      logLine(`willAppear ${JSON.stringify(settings)}`);
-      restartMqtt();
+      if (message.payload && message.payload.controller === "Encoder") {
+        encoders.add(message.context);
+      } else {
+        encoders.delete(message.context);
+      }
+      const coordinates = message.payload && message.payload.coordinates;
+      if (coordinates) {
+        placements.set(message.context, { device: message.device || "", row: coordinates.row, column: coordinates.column });
+      }
+      setContextSettings(message.context, message.payload.settings);
+      logLine(`willAppear ${JSON.stringify(getKeySettings(message.context))}`);
+      scheduleStationSync();
       if (!globalSettingsLoaded) {
         websocket.send(JSON.stringify({
           event: "getGlobalSettings",
           context: uuid
         }));
       }
-      if (message.action === ACTION_TODAY && message.context) {
-        startRotation(message.context);
-      }
-      if ((message.action === ACTION_TEXT || message.action === ACTION_BORDER) && latestDetection) {
-        const display = formatTitle(
-          latestDetection.name,
-          latestDetection.confidence,
-          getDetectionsLastHour(),
-          latestDetection.occurrence
-        );
-        setImageTitle(message.context, display, message.action === ACTION_BORDER ? "border" : "text");
-      }
-      if (message.action === ACTION_IMAGE && latestImageUrl) {
-        updateImageContexts(
-          latestImageUrl,
-          message.context,
-          latestDetection ? latestDetection.occurrence : null
-        );
-      }
+      refreshContext(message.context);
     }
 
     if (message.event === "willDisappear") {
       if (message.context) {
+        const groupId = contexts.get(message.context) === ACTION_TODAY ? getTodayGroupId(message.context) : null;
         contexts.delete(message.context);
+        contextSettings.delete(message.context);
+        placements.delete(message.context);
+        encoders.delete(message.context);
         stopRotation(message.context);
+        if (groupId) {
+          drawGroupPage(groupId);
+        }
+        clearNewBadgeTimer(message.context);
+        clearWatchTimer(message.context);
+        stopTickTimer(message.context);
+        recentOffsets.delete(message.context);
+        imageTargets.delete(message.context);
+        clearCreditTimer(message.context);
+        keyDownAt.delete(message.context);
+        resetBrowse(message.context);
+      }
+    }
+
+    if (message.event === "keyDown" && message.context) {
+      keyDownAt.set(message.context, Date.now());
+    }
+
+    if (message.event === "keyUp" && message.context) {
+      const pressedAt = keyDownAt.get(message.context);
+      keyDownAt.delete(message.context);
+      const isLong = typeof pressedAt === "number" && Date.now() - pressedAt >= LONG_PRESS_MS;
+      if (message.payload && message.payload.settings) {
+        setContextSettings(message.context, message.payload.settings);
+      }
+      handleKeyPress(message.context, message.action || contexts.get(message.context), isLong);
+    }
+
+    if (message.event === "dialRotate" && message.context) {
+      const ticks = message.payload && Number(message.payload.ticks);
+      if (ticks) {
+        handleDialRotate(message.context, message.action || contexts.get(message.context), ticks);
       }
     }
 
+    // Stream Deck 6.0 sent dialPress with a pressed flag; later versions send dialDown and dialUp.
+    if ((message.event === "dialDown" || (message.event === "dialPress" && message.payload && message.payload.pressed)) && message.context) {
+      handleDialPress(message.context, message.action || contexts.get(message.context));
+    }
+
+    if (message.event === "touchTap" && message.context) {
+      handleKeyPress(message.context, message.action || contexts.get(message.context), Boolean(message.payload && message.payload.hold));
+    }
+
     if (message.event === "sendToPlugin") {
       actionContext = message.context || actionContext;
-      if (message.payload && message.payload.settings) {
-        settings = { ...DEFAULTS, ...(message.payload.settings || {}) };
-        debugEnabled = Boolean(settings.debugLogging);
-        logLine(`sendToPlugin ${JSON.stringify(settings)}`);
-        saveSettings();
-        restartMqtt();
+      if (message.payload && message.payload.previewPayload) {
+        sendPayloadPreview(actionContext, message.payload.previewPayload);
       }
     }
 
     if (message.event === "propertyInspectorDidAppear") {
       actionContext = message.context || actionContext;
-      sendToPropertyInspector();
+      inspectorContext = message.context || null;
+      sendToPropertyInspector(actionContext);
+      sendImageCredit(actionContext);
+      sendPayloadProfiles(actionContext);
+    }
+
+    if (message.event === "propertyInspectorDidDisappear" && message.context === inspectorContext) {
+      inspectorContext = null;
     }
   };
 }
 
-function sendLogMessage(message) {
-  if (!websocket || websocket.readyState !== WebSocket.OPEN) {
-    pendingLogs.push(message);
-    return;
+function pickSettings(source, defaults, onlyPresent) {
+  const picked = onlyPresent ? {} : { ...defaults };
+  if (!source || typeof source !== "object") {
+    return picked;
   }
-
-  websocket.send(JSON.stringify({
-    event: "logMessage",
-    payload: {
-      message
+  Object.keys(defaults).forEach((key) => {
+    if (source[key] !== undefined) {
+      picked[key] = source[key];
     }
-  }));
+  });
+  return picked;
 }
 
-function flushPendingLogs() {
-  if (!websocket || websocket.readyState !== WebSocket.OPEN) {
-    return;
+function normalizeGlobalSettings(rawSettings) {
+  const normalized = pickSettings(rawSettings, GLOBAL_DEFAULTS);
+  let list = Array.isArray(normalized.stations) ? normalized.stations : [];
+  // Settings saved before stations existed kept one broker at the top level.
+  if (!list.length && rawSettings && typeof rawSettings === "object") {
+    list = [{ ...pickSettings(rawSettings, STATION_DEFAULTS, true), id: STATION_DEFAULTS.id, name: STATION_DEFAULTS.name }];
   }
-
-  while (pendingLogs.length > 0) {
-    const message = pendingLogs.shift();
-    websocket.send(JSON.stringify({
-      event: "logMessage",
-      payload: {
-        message
+  const seen = new Set();
+  normalized.stations = list
+    .filter((station) => station && typeof station === "object")
+    .map((station, index) => {
+      const config = { ...STATION_DEFAULTS, ...station };
+      config.id = String(config.id || `station-${index + 1}`);
+      config.name = String(config.name || config.id);
+      return config;
+    })
+    .filter((station) => {
+      if (seen.has(station.id)) {
+        return false;
       }
-    }));
+      seen.add(station.id);
+      return true;
+    });
+  if (!normalized.stations.length) {
+    normalized.stations = [{ ...STATION_DEFAULTS }];
   }
+  return normalized;
 }
 
-function restartMqtt() {
-  if (mqttClient) {
-    try {
-      mqttClient.end(true);
-    } catch (err) {
-      // ignore
-    }
-  }
+function getStationConfig(stationId) {
+  const list = globalSettings.stations;
+  return list.find((station) => station.id === stationId) || list[0];
+}
 
-  const mqtt = loadMqtt();
-  if (!mqtt) {
-    forEachContext(null, (context, contextAction) => {
-      if (contextAction !== ACTION_IMAGE) {
-        setTitle(context, "MQTT\nERR");
-      }
-    });
-    return;
+function getStation(stationId) {
+  const config = getStationConfig(stationId);
+  if (!stations.has(config.id)) {
+    stations.set(config.id, createStation(config.id));
   }
+  const station = stations.get(config.id);
+  station.config = config;
+  return station;
+}
 
-  const url = buildMqttUrl(settings);
+function getContextStation(context) {
+  return getStation(getKeySettings(context).stationId);
+}
 
-  mqttClient = mqtt.connect(url, {
-    clientId: settings.mqttClientId,
-    username: settings.mqttUsername || undefined,
-    password: settings.mqttPassword || undefined,
-    reconnectPeriod: 5000
-  });
+function createStation(stationId) {
+  const station = {
+    id: stationId,
+    config: null,
+    client: null,
+    clientConfig: null,
+    status: { state: "connecting", detail: "" },
+    latestDetection: null,
+    detectionTimestamps: [],
+    dailyBirds: new Map(),
+    recentDetections: [],
+    pendingSpecies: new Map(),
+    filterCounts: { confidence: 0, excluded: 0, notIncluded: 0, unconfirmed: 0 },
+    hydrated: false
+  };
+  hydrateCachedStation(station);
+  return station;
+}
 
-  mqttClient.on("connect", () => {
-    logLine(`mqtt connect ${url} topic=${settings.mqttTopic}`);
-    mqttClient.subscribe(settings.mqttTopic, (err) => {
-      if (err) {
-        logLine(`mqtt subscribe error ${String(err && err.message ? err.message : err)}`);
-        forEachContext(null, (context, contextAction) => {
-          if (contextAction !== ACTION_IMAGE) {
-            setTitle(context, "MQTT\nERR");
-          }
-        });
-      } else {
-        logLine(`mqtt subscribed ${settings.mqttTopic}`);
-        forEachContext(null, (context, contextAction) => {
-          if (contextAction !== ACTION_IMAGE) {
-            setTitle(context, "Waiting\n...");
-          }
-        });
-      }
-    });
-  });
+// Keys appear before the global settings arrive, when every key still resolves to the fallback station
+// and day keys use the default time zone and reset hour. The cache waits until both are known.
+function hydrateCachedStation(station) {
+  if (!globalSettingsLoaded || station.hydrated) {
+    return;
+  }
+  station.hydrated = true;
+  if (cachedStations.has(station.id)) {
+    hydrateStation(station, cachedStations.get(station.id));
+    cachedStations.delete(station.id);
+  }
+}
 
-  mqttClient.on("message", (_topic, payload, packet) => {
-    const isRetained = Boolean(packet && packet.retain);
-    logLine(`mqtt message topic=${_topic} bytes=${payload.length} retained=${isRetained}`);
-    const detection = parsePayload(payload);
-    if (detection && detection.name) {
-      updateDailyBirds(detection);
-      latestDetection = detection;
-      if (detection.imageUrl) {
-        latestImageUrl = detection.imageUrl;
-      }
-      if (!isRetained) {
-        recordDetection();
-      }
+// Inspector edits arrive once per keystroke, so station changes are batched.
+function scheduleStationSync() {
+  if (stationSyncTimer) {
+    clearTimeout(stationSyncTimer);
+  }
+  stationSyncTimer = setTimeout(() => {
+    stationSyncTimer = null;
+    syncStations();
+  }, STATION_SYNC_DELAY_MS);
+}
 
-      const display = formatTitle(detection.name, detection.confidence, getDetectionsLastHour(), detection.occurrence);
-      forEachContext(ACTION_TEXT, (context) => {
-        logLine(`update text context=${context}`);
-        setImageTitle(context, display, "text");
-      });
-      forEachContext(ACTION_BORDER, (context) => {
-        logLine(`update border context=${context}`);
-        setImageTitle(context, display, "border");
-      });
-      forEachContext(ACTION_TODAY, (context) => {
-        if (!isRetained) {
-          logLine(`update today context=${context}`);
-          startRotation(context, true);
-        }
-      });
+function syncStations() {
+  // Until the global settings arrive the configured stations are unknown.
+  if (!globalSettingsLoaded) {
+    return;
+  }
+  const configuredIds = new Set(globalSettings.stations.map((station) => station.id));
+  for (const [stationId, station] of Array.from(stations)) {
+    if (!configuredIds.has(stationId)) {
+      logLine(`station removed ${stationId}`);
+      stopStation(station);
+      stations.delete(stationId);
     }
-    if (detection && detection.imageUrl) {
-      if (!isRetained) {
-        updateImageContexts(detection.imageUrl, null, detection.occurrence);
-      }
+  }
+  for (const stationId of Array.from(cachedStations.keys())) {
+    if (!configuredIds.has(stationId)) {
+      cachedStations.delete(stationId);
     }
+  }
+  globalSettings.stations.forEach((config) => {
+    applyStationConfig(getStation(config.id));
   });
+  pruneAllHistory();
+}
 
-  mqttClient.on("error", () => {
-    logLine("mqtt error");
-    forEachContext(null, (context, contextAction) => {
-      if (contextAction !== ACTION_IMAGE) {
-        setTitle(context, "MQTT\nERR");
+function getConnectionConfig(config) {
+  const url = buildMqttUrl(config);
+  const secure = SECURE_TRANSPORTS.includes(getMqttTransport(config));
+  return {
+    url,
+    clientId: config.mqttClientId,
+    username: config.mqttUsername || "",
+    password: config.mqttPassword || "",
+    topic: config.mqttTopic,
+    tls: secure
+      ? {
+        caPath: (config.mqttCaPath || "").trim(),
+        certPath: (config.mqttCertPath || "").trim(),
+        keyPath: (config.mqttKeyPath || "").trim(),
+        rejectUnauthorized: config.mqttRejectUnauthorized !== false
       }
-    });
-  });
-
-  mqttClient.on("close", () => {
-    logLine("mqtt close");
-  });
-
-  mqttClient.on("offline", () => {
-    logLine("mqtt offline");
-  });
+      : null
+  };
+}
 
-  mqttClient.on("reconnect", () => {
-    logLine("mqtt reconnect");
-  });
+function isSameBroker(a, b) {
+  return Boolean(a && b) &&
+    a.url === b.url &&
+    a.clientId === b.clientId &&
+    a.username === b.username &&
+    a.password === b.password &&
+    JSON.stringify(a.tls) === JSON.stringify(b.tls);
 }
 
-function loadMqtt() {
-  if (mqttLib) {
-    return mqttLib;
-  }
-
-  try {
-    mqttLib = require("mqtt");
-    logLine("mqtt module loaded");
-    return mqttLib;
-  } catch (err) {
-    logLine(`mqtt require failed ${err && err.stack ? err.stack : err}`);
-    return null;
-  }
-}
-
-function buildMqttUrl(currentSettings) {
-  const rawHost = (currentSettings.mqttHost || "").trim();
-  const protocol = rawHost.startsWith("mqtts://")
-    ? "mqtts"
-    : rawHost.startsWith("mqtt://")
-      ? "mqtt"
-      : (currentSettings.mqttTls ? "mqtts" : "mqtt");
-  const hostNoProto = rawHost.replace(/^mqtts?:\/\//, "");
-  const hostOnly = hostNoProto.split("/")[0].split(":")[0] || "localhost";
-  return `${protocol}://${hostOnly}:${currentSettings.mqttPort}`;
-}
-
-function parsePayload(payload) {
-  const text = payload.toString("utf8").trim();
-  if (!text) {
-    return null;
+function loadTlsOptions(tls) {
+  if (!tls) {
+    return {};
   }
-
-  let confidence = null;
-  let imageUrl = null;
-  let occurrence = null;
-  let detectionDate = null;
-  if (settings.payloadKey) {
+  const options = { rejectUnauthorized: tls.rejectUnauthorized };
+  const files = [
+    { option: "ca", label: "CA", filePath: tls.caPath },
+    { option: "cert", label: "CERT", filePath: tls.certPath },
+    { option: "key", label: "KEY", filePath: tls.keyPath }
+  ];
+  files.forEach((file) => {
+    if (!file.filePath) {
+      return;
+    }
     try {
-      const json = JSON.parse(text);
-      const value = getJsonPath(json, settings.payloadKey);
-      if (value) {
-        confidence = extractConfidence(json);
-        imageUrl = extractImageUrl(json);
-        occurrence = extractOccurrence(json);
-        detectionDate = extractDate(json);
-        return { name: String(value), confidence, imageUrl, occurrence, detectionDate };
-      }
+      options[file.option] = fs.readFileSync(path.resolve(__dirname, file.filePath));
     } catch (err) {
-      // fall back to heuristic
-    }
-  }
-
-  try {
-    const json = JSON.parse(text);
-    confidence = extractConfidence(json);
-    imageUrl = extractImageUrl(json);
-    occurrence = extractOccurrence(json);
-    detectionDate = extractDate(json);
-    const candidates = [
-      json.CommonName,
-      json.ScientificName,
-      json.SpeciesCode,
-      json.common_name,
-      json.commonName,
-      json.species,
-      json.scientific_name,
-      json.scientificName,
-      json.label,
-      json.name,
-      json.bird_name,
-      json.detection,
-      json.attributes && (json.attributes.common_name || json.attributes.species),
-      json.event && (json.event.common_name || json.event.species),
-      Array.isArray(json.results) && json.results[0] && (json.results[0].common_name || json.results[0].species)
-    ];
-
-    const found = candidates.find((value) => typeof value === "string" && value.trim().length > 0);
-    if (found) {
-      return { name: found, confidence, imageUrl, occurrence, detectionDate };
+      const error = new Error(`${file.label} ${file.filePath}: ${err && err.message ? err.message : err}`);
+      error.tlsLabel = file.label;
+      error.code = err && err.code;
+      throw error;
     }
-  } catch (err) {
-    // not JSON
+  });
+  if (Boolean(options.cert) !== Boolean(options.key)) {
+    const error = new Error("client certificate and key must be set together");
+    error.tlsLabel = options.cert ? "KEY" : "CERT";
+    error.code = "EMISSING";
+    throw error;
   }
-
-  return { name: text, confidence: null, imageUrl: null, occurrence: null, detectionDate: null };
+  return options;
 }
 
-function getJsonPath(obj, path) {
-  const parts = path.split(".").map((part) => part.trim()).filter(Boolean);
-  let current = obj;
-  for (const part of parts) {
-    if (!current || typeof current !== "object") {
-      return undefined;
-    }
-    current = current[part];
+// Only reconnect when the broker itself changed; a new topic just moves the subscription.
+function applyStationConfig(station) {
+  const next = getConnectionConfig(station.config);
+  const current = station.clientConfig;
+  if (!station.client || !isSameBroker(current, next)) {
+    restartStation(station);
+    return;
+  }
+  if (current.topic !== next.topic) {
+    resubscribeStation(station, current.topic, next.topic);
   }
-  return current;
-}
-
-function formatTitle(name, confidence, count, occurrence) {
-  const trimmed = name.trim();
-  const nameMaxLen = 12;
-
-  const nameLines = splitName(trimmed, nameMaxLen, 3);
-  const line1 = nameLines[0] || "";
-  const line2 = nameLines[1] || "";
-  const line3 = nameLines[2] || "";
-
-  return {
-    line1,
-    line2,
-    line3,
-    confidence: typeof confidence === "number" && !Number.isNaN(confidence) ? confidence : null,
-    count: typeof count === "number" ? count : null,
-    occurrence: typeof occurrence === "number" && !Number.isNaN(occurrence) ? occurrence : null,
-    rare: typeof occurrence === "number" && !Number.isNaN(occurrence) && occurrence <= settings.rareOccurrenceThreshold
-  };
 }
 
-function truncateToFit(text, maxLen) {
-  if (text.length <= maxLen) {
-    return text;
+function resubscribeStation(station, previousTopic, nextTopic) {
+  const client = station.client;
+  station.clientConfig = { ...station.clientConfig, topic: nextTopic };
+  logLine(`mqtt topic change station=${station.id} ${previousTopic} -> ${nextTopic}`);
+  if (previousTopic) {
+    client.unsubscribe(previousTopic, (err) => {
+      if (err) {
+        logLine(`mqtt unsubscribe error station=${station.id} ${String(err && err.message ? err.message : err)}`);
+      }
+    });
   }
-  if (maxLen <= 3) {
-    return text.slice(0, maxLen);
+  if (client.connected) {
+    subscribeStation(station);
   }
-  return `${text.slice(0, maxLen - 3)}...`;
 }
 
-function extractConfidence(json) {
-  if (!json || typeof json !== "object") {
-    return null;
-  }
-  const value =
-    json.Confidence ??
-    json.confidence ??
-    (json.attributes && (json.attributes.confidence || json.attributes.Confidence)) ??
-    (json.event && (json.event.confidence || json.event.Confidence));
-  if (typeof value === "number") {
-    return value;
+function setContextSettings(context, rawSettings) {
+  if (!context) {
+    return;
   }
-  if (typeof value === "string") {
-    const parsed = Number(value);
-    return Number.isNaN(parsed) ? null : parsed;
+  contextSettings.set(context, pickSettings(rawSettings, KEY_DEFAULTS, true));
+  if (contexts.get(context) === ACTION_WATCHLIST) {
+    const keySettings = getKeySettings(context);
+    watchKeys.set(context, keySettings);
+    restoreWatchAlert(context, keySettings);
   }
-  return null;
 }
 
-function extractImageUrl(json) {
-  if (!json || typeof json !== "object") {
-    return null;
-  }
-  const url =
-    (json.BirdImage && (json.BirdImage.URL || json.BirdImage.Url || json.BirdImage.url)) ||
-    (json.birdImage && (json.birdImage.URL || json.birdImage.url)) ||
-    json.imageUrl ||
-    json.image_url ||
-    json.image;
-  if (typeof url === "string" && url.trim().length > 0) {
-    return url.trim();
-  }
-  return null;
+function getKeySettings(context) {
+  return { ...KEY_DEFAULTS, ...(contextSettings.get(context) || {}) };
 }
 
-function extractOccurrence(json) {
-  if (!json || typeof json !== "object") {
-    return null;
+function refreshContext(context) {
+  const action = contexts.get(context);
+  if (!context || !action) {
+    return;
   }
-  const value = json.occurrence ?? json.Occurrence;
-  if (typeof value === "number") {
-    return value;
+  if (action === ACTION_WATCHLIST) {
+    drawWatchKey(context);
+    return;
   }
-  if (typeof value === "string") {
-    const parsed = Number(value);
-    return Number.isNaN(parsed) ? null : parsed;
+  if (action === ACTION_ACTIVITY) {
+    drawActivity(context);
+    return;
   }
-  return null;
-}
-
-function extractDate(json) {
-  if (!json || typeof json !== "object") {
-    return null;
+  if (action === ACTION_STATS) {
+    drawStats(context);
+    return;
   }
-  const value = json.Date || json.date;
-  if (typeof value === "string" && value.trim().length > 0) {
-    return value.trim();
+  if (action === ACTION_RECENT) {
+    drawRecent(context);
+    return;
   }
-  return null;
-}
-
-function forEachContext(action, callback) {
-  for (const [context, contextAction] of contexts) {
-    if (!action || contextAction === action) {
-      callback(context, contextAction);
+  if (action === ACTION_SUN) {
+    drawSun(context);
+    return;
+  }
+  if (action === ACTION_TODAY) {
+    const groupId = getTodayGroupId(context);
+    if (groupId) {
+      stopRotation(context);
+      drawGroupPage(groupId);
+      return;
+    }
+    const state = rotationState.get(context);
+    if (state && state.paused && state.current) {
+      drawTodayBird(context, state.current, true);
+      return;
     }
+    startRotation(context);
+    return;
+  }
+  if (browseState.has(context)) {
+    return;
+  }
+  const station = getContextStation(context);
+  const status = getContextStatus(station, action);
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
+  }
+  if (station.latestDetection) {
+    showDetection(context, action, station.latestDetection, "");
   }
 }
 
-function setTitle(context, title) {
-  if (!websocket || !context) {
+function sendLogMessage(message) {
+  if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+    pendingLogs.push(message);
     return;
   }
 
   websocket.send(JSON.stringify({
-    event: "setTitle",
-    context: context,
+    event: "logMessage",
     payload: {
-      title: title,
-      target: 0
+      message
     }
   }));
 }
 
-function setImageTitle(context, display, variant) {
-  if (!websocket || !context) {
+function flushPendingLogs() {
+  if (!websocket || websocket.readyState !== WebSocket.OPEN) {
     return;
   }
 
-  let svg = "";
-  if (variant === "border") {
-    svg = renderSvgBorder(display);
-  } else if (variant === "today") {
-    svg = renderSvgToday(display);
-  } else {
-    svg = renderSvg(display);
+  while (pendingLogs.length > 0) {
+    const message = pendingLogs.shift();
+    websocket.send(JSON.stringify({
+      event: "logMessage",
+      payload: {
+        message
+      }
+    }));
   }
-  const dataUri = `data:image/svg+xml;charset=utf8,${encodeURIComponent(svg)}`;
+}
 
-  websocket.send(JSON.stringify({
-    event: "setImage",
-    context: context,
-    payload: {
-      image: dataUri,
-      target: 0
+function stopStation(station) {
+  if (station.client) {
+    try {
+      station.client.end(true);
+    } catch (err) {
+      // ignore
     }
-  }));
-
-  setTitle(context, "");
+  }
+  station.client = null;
+  station.clientConfig = null;
 }
 
-function setImage(context, image) {
-  if (!websocket || !context) {
+function restartStation(station) {
+  stopStation(station);
+
+  const mqtt = loadMqtt();
+  if (!mqtt) {
+    setStationStatus(station, "moduleMissing");
     return;
   }
 
-  websocket.send(JSON.stringify({
-    event: "setImage",
-    context: context,
-    payload: {
-      image: image,
-      target: 0
+  const connection = getConnectionConfig(station.config);
+  logLine(`mqtt connecting station=${station.id} ${connection.url}`);
+
+  let tlsOptions = {};
+  try {
+    tlsOptions = loadTlsOptions(connection.tls);
+  } catch (err) {
+    logLine(`mqtt tls error station=${station.id} ${err.message}`);
+    setStationStatus(station, "tlsError", `${err.tlsLabel} ${err.code === "ENOENT" ? "MISSING" : "ERR"}`);
+    return;
+  }
+
+  const client = mqtt.connect(connection.url, {
+    clientId: connection.clientId,
+    username: connection.username || undefined,
+    password: connection.password || undefined,
+    reconnectPeriod: 5000,
+    ...tlsOptions
+  });
+  station.client = client;
+  station.clientConfig = connection;
+  setStationStatus(station, "connecting");
+
+  client.on("connect", () => {
+    if (station.client !== client) {
+      return;
     }
-  }));
+    logLine(`mqtt connect station=${station.id} ${connection.url} topic=${station.clientConfig.topic}`);
+    subscribeStation(station);
+  });
+
+  client.on("message", (topic, payload, packet) => {
+    if (station.client !== client) {
+      return;
+    }
+    handleStationMessage(station, topic, payload, packet);
+  });
+
+  client.on("error", (err) => {
+    if (station.client !== client) {
+      return;
+    }
+    logLine(`mqtt error station=${station.id} code=${err && err.code} ${String(err && err.message ? err.message : err)}`);
+    const status = classifyMqttError(err);
+    setStationStatus(station, status.state, status.detail);
+  });
+
+  client.on("close", () => {
+    logLine(`mqtt close station=${station.id}`);
+    if (station.client === client && station.status.state === "connected") {
+      setStationStatus(station, "offline");
+    }
+  });
+
+  client.on("offline", () => {
+    logLine(`mqtt offline station=${station.id}`);
+    if (station.client === client && (station.status.state === "connected" || station.status.state === "connecting")) {
+      setStationStatus(station, "offline");
+    }
+  });
+
+  client.on("reconnect", () => {
+    logLine(`mqtt reconnect station=${station.id}`);
+  });
 }
 
-function renderCommonalityShape(commonality, x, y, size) {
-  const color = commonality.color || "#9ca3af";
-  const stroke = "rgba(0,0,0,0.6)";
-  const strokeWidth = 3;
-  const half = size / 2;
-  const left = x - half;
-  const top = y - half;
-  const right = x + half;
-  const bottom = y + half;
+function subscribeStation(station) {
+  const client = station.client;
+  const topic = station.clientConfig.topic;
+  client.subscribe(topic, (err, granted) => {
+    if (station.client !== client || station.clientConfig.topic !== topic) {
+      return;
+    }
+    // Brokers deny a subscription by granting QoS 128 (0x80) rather than failing the request.
+    const denied = Array.isArray(granted) && granted.some((grant) => grant && grant.qos >= 128);
+    if (err || denied) {
+      logLine(`mqtt subscribe error station=${station.id} ${err ? String(err.message || err) : "denied"}`);
+      setStationStatus(station, "subscribeDenied");
+    } else {
+      logLine(`mqtt subscribed station=${station.id} ${topic}`);
+      setStationStatus(station, "connected");
+    }
+  });
+}
 
-  if (commonality.shape === "square") {
-    return `<rect x="${left}" y="${top}" width="${size}" height="${size}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}" rx="2" ry="2"/>`;
+// Connected stations show live data; otherwise keys show a status tile, or the
+// last data with a stale marker when the problem is only a lost connection.
+function getContextStatus(station, action, keySettings) {
+  let hasData = Boolean(station.latestDetection);
+  if (action === ACTION_TODAY) {
+    hasData = getWindowBirds(station, keySettings).length > 0;
+  } else if (action === ACTION_RECENT) {
+    hasData = station.recentDetections.length > 0;
+  } else if (action === ACTION_ACTIVITY || action === ACTION_STATS || action === ACTION_SUN) {
+    // A quiet chart or a count of zero is still worth showing.
+    hasData = true;
   }
-  if (commonality.shape === "diamond") {
-    return `<polygon points="${x},${top} ${right},${y} ${x},${bottom} ${left},${y}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  const { state, detail } = station.status;
+  if (state === "connected") {
+    return hasData ? { stale: false } : { view: getStatusView("waiting", "") };
   }
-  if (commonality.shape === "star") {
-    const points = [];
-    const outer = half;
-    const inner = half * 0.45;
-    for (let i = 0; i < 10; i += 1) {
-      const angle = -Math.PI / 2 + (i * Math.PI) / 5;
-      const r = i % 2 === 0 ? outer : inner;
-      points.push(`${x + r * Math.cos(angle)},${y + r * Math.sin(angle)}`);
+  if (hasData && SOFT_STATUS_STATES.includes(state)) {
+    return { stale: true };
+  }
+  return { view: getStatusView(state, detail) };
+}
+
+function getStatusView(state, detail) {
+  if (state === "connecting") {
+    return { icon: "dots", color: "#38bdf8", lines: ["CONNECTING", "..."] };
+  }
+  if (state === "waiting") {
+    return { icon: "clock", color: "#9ca3af", lines: ["WAITING", "FOR BIRDS"] };
+  }
+  if (state === "authFailed") {
+    return { icon: "lock", color: "#ef4444", lines: ["AUTH", `REJECTED ${detail}`.trim()] };
+  }
+  if (state === "unreachable") {
+    if (detail === "dns") {
+      return { icon: "cross", color: "#f97316", lines: ["DNS", "FAILED"] };
     }
-    return `<polygon points="${points.join(" ")}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+    if (detail === "refused") {
+      return { icon: "cross", color: "#f97316", lines: ["CONNECTION", "REFUSED"] };
+    }
+    return { icon: "cross", color: "#f97316", lines: ["HOST", "UNREACHABLE"] };
   }
-  if (commonality.shape === "triangle") {
-    return `<polygon points="${x},${top} ${right},${bottom} ${left},${bottom}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  if (state === "subscribeDenied") {
+    return { icon: "ban", color: "#ef4444", lines: ["SUBSCRIBE", "DENIED"] };
   }
-  if (commonality.shape === "hex") {
-    const q = size * 0.28;
-    return `<polygon points="${left + q},${top} ${right - q},${top} ${right},${y} ${right - q},${bottom} ${left + q},${bottom} ${left},${y}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  if (state === "offline") {
+    return { icon: "plug", color: "#9ca3af", lines: ["BROKER", "OFFLINE"] };
   }
-  return `<circle cx="${x}" cy="${y}" r="${half}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  if (state === "moduleMissing") {
+    return { icon: "warning", color: "#ef4444", lines: ["MQTT MODULE", "MISSING"] };
+  }
+  if (state === "tlsError") {
+    const parts = String(detail || "").split(" ");
+    return { icon: "shield", color: "#ef4444", lines: [`TLS ${parts[0] || ""}`.trim(), parts.slice(1).join(" ") || "ERR"] };
+  }
+  return { icon: "warning", color: "#ef4444", lines: ["MQTT", "ERR"] };
 }
 
-function renderImageWithDot(imageDataUri, occurrence) {
-  if (!imageDataUri) {
-    return imageDataUri;
+function classifyMqttError(err) {
+  const code = err && err.code;
+  if (AUTH_REJECT_CODES.includes(code)) {
+    return { state: "authFailed", detail: String(code) };
   }
-  const commonality = getCommonality(occurrence);
-  const marker = renderCommonalityShape(commonality, 124, 124, 24);
-  return `data:image/svg+xml;charset=utf8,${encodeURIComponent([
-    `<svg xmlns="http://www.w3.org/2000/svg" width="144" height="144" viewBox="0 0 144 144">`,
-    `<image href="${imageDataUri}" x="0" y="0" width="144" height="144" preserveAspectRatio="xMidYMid slice"/>`,
-    `</svg>`
-  ].join(""))}`;
+  if (DNS_ERROR_CODES.includes(code)) {
+    return { state: "unreachable", detail: "dns" };
+  }
+  if (code === "ECONNREFUSED") {
+    return { state: "unreachable", detail: "refused" };
+  }
+  if (UNREACHABLE_ERROR_CODES.includes(code)) {
+    return { state: "unreachable", detail: "host" };
+  }
+  if (typeof code === "string" && /CERT|SELF_SIGNED|TLS|SSL|LEAF_SIGNATURE/.test(code)) {
+    return { state: "tlsError", detail: "CERT REJECTED" };
+  }
+  return { state: "error", detail: "" };
 }
 
-function updateImageContexts(imageUrl, specificContext, occurrence) {
-  if (!imageUrl) {
+function setStationStatus(station, state, detail) {
+  const next = { state, detail: detail || "" };
+  if (station.status.state === next.state && station.status.detail === next.detail) {
     return;
   }
-  if (!specificContext) {
-    let hasImageContext = false;
-    forEachContext(ACTION_IMAGE, () => {
-      hasImageContext = true;
-    });
-    if (!hasImageContext) {
+  logLine(`station status station=${station.id} ${state}${next.detail ? ` (${next.detail})` : ""}`);
+  station.status = next;
+  forEachContext(null, (context) => {
+    refreshContext(context);
+  }, station.id);
+}
+
+function handleStationMessage(station, topic, payload, packet) {
+  const isRetained = Boolean(packet && packet.retain);
+  logLine(`mqtt message station=${station.id} topic=${topic} bytes=${payload.length} retained=${isRetained}`);
+  const detection = parsePayload(payload, getPayloadProfile(station.config.payloadProfile));
+  if (detection && detection.name) {
+    detection.keyNames = extractKeyNames(station, detection);
+    const reason = getFilterReason(station, detection);
+    if (reason) {
+      station.filterCounts[reason] += 1;
+      const totals = Object.entries(station.filterCounts).map(([key, count]) => `${key}=${count}`).join(" ");
+      logLine(`filtered station=${station.id} species=${detection.name} reason=${reason} ${totals}`);
       return;
     }
-  }
 
-  fetchImageData(imageUrl)
-    .then((dataUri) => {
-      const composed = renderImageWithDot(dataUri, occurrence);
-      if (specificContext) {
-        setImage(specificContext, composed);
-        setTitle(specificContext, "");
-      } else {
-        forEachContext(ACTION_IMAGE, (context) => {
-          setImage(context, composed);
-          setTitle(context, "");
-        });
+    const record = recordHistory(station, detection, isRetained);
+    const isNew = Boolean(record);
+    // Watchlist alerts fire for every detection, whether or not the species is confirmed for the day yet.
+    if (isNew) {
+      checkWatchlists(station, detection);
+    }
+    // An unconfirmed species is still shown and kept in the history; it just doesn't count for the day yet.
+    if (isConfirmed(station, detection, isRetained, isNew)) {
+      updateDailyBirds(station, detection, isNew);
+      if (isNew) {
+        trackFirstSeen(station, detection);
       }
-    })
-    .catch((err) => {
-      logLine(`image fetch error ${String(err && err.message ? err.message : err)}`);
+    } else {
+      if (record) {
+        record.unconfirmed = true;
+      }
+      station.filterCounts.unconfirmed += 1;
+      logLine(`unconfirmed station=${station.id} species=${detection.name} total=${station.filterCounts.unconfirmed}`);
+    }
+    station.latestDetection = detection;
+    if (!isRetained) {
+      recordDetection(station);
+    }
+    const isRecent = !isRetained || isNew || !station.recentDetections.length;
+    if (isRecent) {
+      recordRecent(station, detection);
+    }
+    forEachContext(null, (context) => {
+      resetBrowse(context);
+    }, station.id);
+
+    forEachContext(ACTION_TEXT, (context) => {
+      logLine(`update text context=${context}`);
+      showDetection(context, ACTION_TEXT, detection, "");
+    }, station.id);
+    forEachContext(ACTION_BORDER, (context) => {
+      logLine(`update border context=${context}`);
+      showDetection(context, ACTION_BORDER, detection, "");
+    }, station.id);
+    forEachContext(ACTION_IMAGE, (context) => {
+      showDetection(context, ACTION_IMAGE, detection, "");
+    }, station.id);
+    forEachContext(ACTION_ACTIVITY, (context) => {
+      drawActivity(context);
+    }, station.id);
+    forEachContext(ACTION_STATS, (context) => {
+      drawStats(context);
+    }, station.id);
+    forEachContext(ACTION_RECENT, (context) => {
+      // A key looking back keeps showing the same detection as newer ones arrive.
+      if (isRecent && recentOffsets.has(context)) {
+        recentOffsets.set(context, Math.min(recentOffsets.get(context) + 1, MAX_RECENT - 1));
+      }
+      drawRecent(context);
+    }, station.id);
+    const groups = new Set();
+    forEachContext(ACTION_TODAY, (context) => {
+      const groupId = getTodayGroupId(context);
+      if (groupId) {
+        groups.add(groupId);
+        return;
+      }
+      if (!isRetained) {
+        logLine(`update today context=${context}`);
+        // A "just heard" key jumps back to the bird it just heard.
+        const state = rotationState.get(context);
+        if (state && getKeySettings(context).todaySort === "recent") {
+          state.index = 0;
+        }
+        startRotation(context, true);
+      }
+    }, station.id);
+    groups.forEach((groupId) => {
+      const state = groupRotation.get(groupId);
+      const members = getGroupMembers(groupId);
+      if (state && !isRetained && members.length && getKeySettings(members[0]).todaySort === "recent") {
+        state.page = 0;
+      }
+      drawGroupPage(groupId);
     });
+  }
 }
 
-function fetchImageData(url) {
-  if (imageCache.has(url)) {
-    return Promise.resolve(imageCache.get(url));
+// Returns why a detection should be dropped before it reaches any state, or null to keep it.
+function getFilterReason(station, detection) {
+  const config = station.config || STATION_DEFAULTS;
+  const minConfidence = Number(config.minConfidence) || 0;
+  if (typeof detection.confidence === "number" && detection.confidence < minConfidence) {
+    return "confidence";
   }
-  if (imageInFlight.has(url)) {
-    return imageInFlight.get(url);
+  const names = [detection.name, detection.scientificName].filter(Boolean);
+  const excluded = parseSpeciesPatterns(config.excludeSpecies);
+  if (excluded.some((pattern) => names.some((name) => pattern.test(name)))) {
+    return "excluded";
   }
-  if (typeof fetch !== "function") {
-    return Promise.reject(new Error("fetch not available"));
+  const included = parseSpeciesPatterns(config.includeSpecies);
+  if (included.length && !included.some((pattern) => names.some((name) => pattern.test(name)))) {
+    return "notIncluded";
   }
+  return null;
+}
 
-  const promise = fetch(url)
-    .then((res) => {
-      if (!res.ok) {
-        throw new Error(`http ${res.status}`);
-      }
-      const contentType = res.headers.get("content-type") || "image/jpeg";
-      return res.arrayBuffer().then((buf) => {
-        const base64 = Buffer.from(buf).toString("base64");
-        const dataUri = `data:${contentType};base64,${base64}`;
-        imageCache.set(url, dataUri);
-        return dataUri;
-      });
-    })
-    .finally(() => {
-      imageInFlight.delete(url);
+// Species patterns are separated by commas or new lines; "*" and "?" are wildcards.
+function parseSpeciesPatterns(value) {
+  return String(value || "")
+    .split(/[,;\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const source = entry.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+      return new RegExp(`^${source}$`, "i");
     });
+}
 
-  imageInFlight.set(url, promise);
-  return promise;
+// A species counts for the day once it has been heard confirmCount times within confirmMinutes,
+// measured by the detections' own times so late and replayed messages land in the right window.
+function isConfirmed(station, detection, isRetained, isNew) {
+  const config = station.config || STATION_DEFAULTS;
+  const needed = Math.max(1, Math.floor(Number(config.confirmCount) || 1));
+  if (needed <= 1) {
+    return true;
+  }
+  const ts = detection.detectedAt || Date.now();
+  const dayMap = station.dailyBirds.get(getDayKey(ts));
+  if (dayMap && dayMap.has(detection.name)) {
+    return true;
+  }
+  // A replay of a message already seen is not another detection.
+  if (isRetained && !isNew) {
+    return false;
+  }
+  const windowMs = Math.max(1, Number(config.confirmMinutes) || STATION_DEFAULTS.confirmMinutes) * 60 * 1000;
+  // Late detections can arrive out of order, so a day of them is kept rather than just the last window.
+  const oldest = Date.now() - DAY_MS;
+  for (const [name, list] of Array.from(station.pendingSpecies)) {
+    if (list[list.length - 1] < oldest) {
+      station.pendingSpecies.delete(name);
+    }
+  }
+  const heard = (station.pendingSpecies.get(detection.name) || []).filter((time) => time >= oldest);
+  heard.push(ts);
+  heard.sort((a, b) => a - b);
+  // Any window of confirmMinutes that holds this detection and enough others confirms it.
+  const confirmed = heard.some((start, i) => start <= ts && start + windowMs >= ts
+    && heard.filter((time, j) => j >= i && time <= start + windowMs).length >= needed);
+  if (confirmed) {
+    station.pendingSpecies.delete(detection.name);
+    logLine(`confirmed station=${station.id} species=${detection.name} after ${heard.length} detections`);
+    return true;
+  }
+  station.pendingSpecies.set(detection.name, heard);
+  return false;
 }
 
-function renderSvg(display) {
-  const width = 144;
-  const height = 144;
-  const statsFont = 16;
-  const pillY = 104;
+function loadMqtt() {
+  if (mqttLib) {
+    return mqttLib;
+  }
 
-  const line1 = escapeXml(display.line1 || "");
-  const line2 = escapeXml(display.line2 || "");
-  const line3 = escapeXml(display.line3 || "");
-  const confPercent = display.confidence !== null ? Math.round(display.confidence * 100) : null;
-  const confColor = confidenceColor(display.confidence);
-  const confAlpha = confidenceBackgroundAlpha(display.confidence);
-  const ringRadius = 16;
-  const ringThickness = 5;
-  const ringCx = 22;
-  const ringCy = 118;
-  const ringCircumference = 2 * Math.PI * ringRadius;
-  const ringProgress = confPercent !== null ? ringCircumference * (confPercent / 100) : 0;
-  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
-  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
-  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
-  const commonality = getCommonality(display.occurrence);
-  const nameAreaHeight = pillY - 8;
-  let nameFont = Math.min(30, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
-  if (maxLineLen > 12) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+  try {
+    mqttLib = require("mqtt");
+    logLine("mqtt module loaded");
+    return mqttLib;
+  } catch (err) {
+    logLine(`mqtt require failed ${err && err.stack ? err.stack : err}`);
+    return null;
   }
-  if (lineCount === 1 && maxLineLen > 9) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+}
+
+function getMqttTransport(currentSettings) {
+  if (MQTT_TRANSPORTS.includes(currentSettings.mqttTransport)) {
+    return currentSettings.mqttTransport;
   }
-  const maxTextWidth = width - 26;
-  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
-  if (Number.isFinite(widthFit)) {
-    nameFont = Math.min(nameFont, widthFit);
+  const rawHost = (currentSettings.mqttHost || "").trim().toLowerCase();
+  const scheme = MQTT_TRANSPORTS.find((transport) => rawHost.startsWith(`${transport}://`));
+  if (scheme) {
+    return scheme;
   }
-  nameFont = Math.max(16, nameFont);
-  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
-  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
-  if (startY < nameFont + 4) {
-    startY = nameFont + 4;
+  return currentSettings.mqttTls ? "mqtts" : "mqtt";
+}
+
+function buildMqttUrl(currentSettings) {
+  const rawHost = (currentSettings.mqttHost || "").trim();
+  const protocol = getMqttTransport(currentSettings);
+  const hostNoProto = rawHost.replace(/^[a-z]+:\/\//i, "");
+  const slash = hostNoProto.indexOf("/");
+  const authority = slash === -1 ? hostNoProto : hostNoProto.slice(0, slash);
+  const hostOnly = authority.split(":")[0] || "localhost";
+  // WebSocket brokers often live under a path behind a reverse proxy (e.g. /mqtt).
+  const urlPath = (protocol === "ws" || protocol === "wss") && slash !== -1 ? hostNoProto.slice(slash) : "";
+  return `${protocol}://${hostOnly}:${currentSettings.mqttPort}${urlPath}`;
+}
+
+function parsePayload(payload, profile = PAYLOAD_PROFILES[0]) {
+  const text = payload.toString("utf8").trim();
+  if (!text) {
+    return null;
   }
-  const line1Y = startY;
-  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
-  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
 
-  return [
-    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
-    `<rect width="100%" height="100%" fill="transparent"/>`,
-    renderCommonalityShape(commonality, 118, 118, 24),
-    `<defs>`,
-    `</defs>`,
-    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
-    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
-    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
-    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="#101010"/>`,
-    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="none" stroke="#2a2a2a" stroke-width="${ringThickness}"/>`,
-    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="none" stroke="${confColor}" stroke-width="${ringThickness}" stroke-linecap="round" stroke-dasharray="${ringProgress} ${ringCircumference}" transform="rotate(-90 ${ringCx} ${ringCy})"/>`,
-    `</svg>`
-  ].join("");
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // not JSON
+  }
+  if (json && typeof json === "object") {
+    const { values } = mapPayload(json, profile);
+    if (values.name) {
+      return {
+        name: values.name,
+        scientificName: values.scientificName,
+        speciesCode: values.speciesCode,
+        confidence: values.confidence,
+        imageUrl: values.imageUrl,
+        imageCredit: extractImageCredit(json),
+        occurrence: values.occurrence,
+        detectedAt: values.timestamp,
+        source: values.source,
+        json
+      };
+    }
+  }
+
+  return { name: text, scientificName: null, speciesCode: null, confidence: null, imageUrl: null, imageCredit: null, occurrence: null, detectedAt: null, source: null, json: null };
 }
 
-function renderSvgBorder(display) {
-  const width = 144;
-  const height = 144;
-  const statsFont = 16;
-  const pillY = 104;
+// A station's profile by id, from the built-ins or the user's own; unknown ids fall back to auto detect.
+function getPayloadProfile(profileId, userProfiles = globalSettings.payloadProfiles) {
+  const profiles = PAYLOAD_PROFILES.concat(Array.isArray(userProfiles) ? userProfiles : []);
+  return profiles.find((profile) => profile && profile.id === profileId) || PAYLOAD_PROFILES[0];
+}
 
-  const line1 = escapeXml(display.line1 || "");
-  const line2 = escapeXml(display.line2 || "");
-  const line3 = escapeXml(display.line3 || "");
-  const confPercent = display.confidence !== null ? Math.round(display.confidence * 100) : null;
-  const confColor = confidenceColor(display.confidence);
-  const confColorDark = shadeColor(confColor, -35);
-  const confAlpha = confidenceMeterAlpha(display.confidence);
-  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
-  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
-  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
-  const commonality = getCommonality(display.occurrence);
-  const nameAreaHeight = pillY - 8;
-  let nameFont = Math.min(30, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
-  if (maxLineLen > 12) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+// Reads every field through the profile's paths; `paths` records the one that matched, for the inspector preview.
+function mapPayload(json, profile) {
+  const values = {};
+  const paths = {};
+  PAYLOAD_FIELDS.forEach((field) => {
+    values[field] = null;
+    const candidates = String((profile.paths && profile.paths[field]) || "").split(",").map((path) => path.trim()).filter(Boolean);
+    for (const candidate of candidates) {
+      const parts = candidate.split("+").map((path) => readPayloadValue(json, path.trim()));
+      if (parts.some((part) => part === null)) {
+        continue;
+      }
+      const value = convertPayloadValue(field, parts.length > 1 ? parts.join(" ") : parts[0], profile);
+      if (value !== null) {
+        values[field] = value;
+        paths[field] = candidate;
+        break;
+      }
+    }
+  });
+  return { values, paths };
+}
+
+function readPayloadValue(json, path) {
+  const value = path ? getJsonPath(json, path) : undefined;
+  if (typeof value === "string" && value.trim().length > 0) {
+    return value.trim();
   }
-  if (lineCount === 1 && maxLineLen > 9) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function convertPayloadValue(field, value, profile) {
+  if (field === "confidence" || field === "occurrence") {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      return null;
+    }
+    // "auto" treats anything above 1 as a percentage, since a 0-1 confidence never gets there.
+    const scale = field === "confidence" ? profile.confidenceScale : "fraction";
+    return scale === "percent" || (scale === "auto" && number > 1) ? number / 100 : number;
   }
-  const maxTextWidth = width - 26;
-  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
-  if (Number.isFinite(widthFit)) {
-    nameFont = Math.min(nameFont, widthFit);
+  if (field === "timestamp") {
+    return parseTimestamp(value);
   }
-  nameFont = Math.max(16, nameFont);
-  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
-  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
-  if (startY < nameFont + 4) {
-    startY = nameFont + 4;
+  if (field === "source") {
+    return String(value);
   }
-  const line1Y = startY;
-  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
-  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
+  return typeof value === "string" ? value : null;
+}
 
-  const border = 6;
-  const radius = 14;
-  const path = [
-    `M ${border + radius} ${border}`,
-    `H ${width - border - radius}`,
-    `A ${radius} ${radius} 0 0 1 ${width - border} ${border + radius}`,
-    `V ${height - border - radius}`,
-    `A ${radius} ${radius} 0 0 1 ${width - border - radius} ${height - border}`,
-    `H ${border + radius}`,
-    `A ${radius} ${radius} 0 0 1 ${border} ${height - border - radius}`,
-    `V ${border + radius}`,
-    `A ${radius} ${radius} 0 0 1 ${border + radius} ${border}`,
-    "Z"
-  ].join(" ");
+// Epoch seconds or milliseconds, an ISO 8601 time, or a zone-less "YYYY-MM-DD HH:MM[:SS]" read in the configured zone.
+function parseTimestamp(value) {
+  if (typeof value === "number") {
+    return value > 0 ? Math.round(value < 1e12 ? value * 1000 : value) : null;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseTimestamp(Number(text));
+  }
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  if (local) {
+    const [year, month, day, hour, minute, second] = local.slice(1).map((part) => Number(part || 0));
+    return getZoneTime(year, month, day, hour, minute, second);
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
 
-  const progress = confPercent !== null ? confPercent : 0;
-  const fillHeight = Math.round((height - border * 2) * (progress / 100));
-  const fillY = height - border - fillHeight;
+// Keys may point payloadKey at a different field. The values for the station's keys are saved with
+// the detection; the raw payload is kept in memory only, for keys added after it arrived.
+function getDisplayName(record, keySettings) {
+  if (record && keySettings.payloadKey) {
+    const saved = record.keyNames ? record.keyNames[keySettings.payloadKey] : undefined;
+    const value = saved !== undefined ? saved : record.json ? getJsonPath(record.json, keySettings.payloadKey) : undefined;
+    if (value !== undefined && value !== null && String(value).trim()) {
+      return String(value);
+    }
+  }
+  return record ? record.name : "";
+}
 
-  return [
-    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
-    `<defs>`,
-    `<linearGradient id="meterFill" x1="0" y1="0" x2="0" y2="1">`,
-    `<stop offset="0%" stop-color="${confColor}"/>`,
-    `<stop offset="100%" stop-color="${confColorDark}"/>`,
-    `</linearGradient>`,
-    `<clipPath id="meterClip">`,
-    `<rect x="${border}" y="${border}" width="${width - border * 2}" height="${height - border * 2}" rx="${radius}" ry="${radius}"/>`,
-    `</clipPath>`,
-    `</defs>`,
-    `<rect width="100%" height="100%" fill="transparent"/>`,
-    renderCommonalityShape(commonality, 118, 118, 24),
-    `<rect x="${border}" y="${fillY}" width="${width - border * 2}" height="${fillHeight}" fill="url(#meterFill)" fill-opacity="${confAlpha}" clip-path="url(#meterClip)"/>`,
-    `<path d="${path}" fill="none" stroke="rgba(255,255,255,0.15)" stroke-width="${border}" />`,
-    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
-    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
-    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
-    `</svg>`
-  ].join("");
+// The payloadKey values of every key on the station, hidden watchlist keys included, where they differ
+// from the parsed name; null when there are none.
+function extractKeyNames(station, detection) {
+  if (!detection.json) {
+    return null;
+  }
+  const paths = new Set();
+  forEachContext(null, (context) => paths.add(getKeySettings(context).payloadKey), station.id);
+  watchKeys.forEach((keySettings) => {
+    if (getStationConfig(keySettings.stationId).id === station.id) {
+      paths.add(keySettings.payloadKey);
+    }
+  });
+  const names = {};
+  paths.forEach((path) => {
+    const value = path ? getJsonPath(detection.json, path) : undefined;
+    if (value !== undefined && value !== null && typeof value !== "object" && String(value).trim() && String(value) !== detection.name) {
+      names[path] = String(value);
+    }
+  });
+  return Object.keys(names).length ? names : null;
 }
 
-function renderSvgToday(display) {
-  const width = 144;
-  const height = 144;
-  const pillY = 104;
+function getJsonPath(obj, path) {
+  const parts = path.split(".").map((part) => part.trim()).filter(Boolean);
+  let current = obj;
+  for (const part of parts) {
+    if (!current || typeof current !== "object") {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
 
-  const line1 = escapeXml(display.line1 || "");
-  const line2 = escapeXml(display.line2 || "");
-  const line3 = escapeXml(display.line3 || "");
-  const commonality = getCommonality(display.occurrence);
-  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
-  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
-  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
-  const nameAreaHeight = pillY - 6;
-  let nameFont = Math.min(32, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
-  if (maxLineLen > 12) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+// The names a key shows for a record in its display mode. Scientific names are set in italics; "both" and
+// "bilingual" add a second name underneath in a smaller line. Modes fall back to the common name when the
+// payload did not carry what they need.
+function getDisplayNames(record, keySettings) {
+  const common = getDisplayName(record, keySettings);
+  const translated = record ? getTranslatedName(record) : "";
+  const primary = keySettings.translateNames && translated ? translated : common;
+  const scientific = record && record.scientificName ? record.scientificName : "";
+  if (keySettings.nameDisplay === "scientific" && scientific) {
+    return { name: scientific, italic: true, subtitle: "", subtitleItalic: false };
   }
-  if (lineCount === 1 && maxLineLen > 9) {
-    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+  if (keySettings.nameDisplay === "code" && record && record.speciesCode) {
+    return { name: record.speciesCode, italic: false, subtitle: "", subtitleItalic: false };
   }
-  const maxTextWidth = width - 26;
-  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
-  if (Number.isFinite(widthFit)) {
-    nameFont = Math.min(nameFont, widthFit);
+  if (keySettings.nameDisplay === "both" && scientific && scientific !== primary) {
+    return { name: primary, italic: false, subtitle: scientific, subtitleItalic: true };
   }
-  nameFont = Math.max(16, nameFont);
-  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
-  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
-  if (startY < nameFont + 4) {
-    startY = nameFont + 4;
+  if (keySettings.nameDisplay === "bilingual") {
+    const other = primary === common ? translated : common;
+    return { name: primary, italic: false, subtitle: other && other !== primary ? other : "", subtitleItalic: false };
   }
-  const line1Y = startY;
-  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
-  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
+  return { name: primary, italic: false, subtitle: "", subtitleItalic: false };
+}
 
-  return [
-    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
-    `<rect width="100%" height="100%" fill="transparent"/>`,
-    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
-    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
-    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
-    renderCommonalityShape(commonality, 118, 118, 24),
-    `</svg>`
-  ].join("");
+// Translations are pasted one per line as "name = translation", or as BirdNET label lines
+// ("Scientific name_Common name"); the left side may be the common or the scientific name.
+function getTranslations() {
+  const text = String(globalSettings.nameTranslations || "");
+  if (!translationCache || translationCache.text !== text) {
+    const names = new Map();
+    text.split(/\r?\n/).forEach((line) => {
+      const index = line.includes("=") ? line.indexOf("=") : line.indexOf("_");
+      const from = index > 0 ? line.slice(0, index).trim().toLowerCase() : "";
+      const to = index > 0 ? line.slice(index + 1).trim() : "";
+      if (from && to) {
+        names.set(from, to);
+      }
+    });
+    translationCache = { text, names };
+  }
+  return translationCache.names;
 }
 
-function splitName(text, maxLen, maxLines) {
-  if (!text) {
-    return [];
+function getTranslatedName(record) {
+  const names = getTranslations();
+  if (!names.size) {
+    return "";
   }
+  return [record.scientificName, record.name]
+    .filter(Boolean)
+    .map((name) => names.get(String(name).trim().toLowerCase()))
+    .find(Boolean) || "";
+}
 
-  const words = text.split(/\s+/);
-  const lines = [];
-  let current = "";
+function formatTitle(record, confidence, count, occurrence, keySettings) {
+  const names = getDisplayNames(record, keySettings);
+  const trimmed = names.name.trim();
+  const nameMaxLen = 12;
 
-  for (const word of words) {
-    const next = (current + " " + word).trim();
-    if (next.length <= maxLen) {
-      current = next;
+  // A second name takes the room of the third line.
+  const nameLines = splitName(trimmed, nameMaxLen, names.subtitle ? 2 : 3);
+  const line1 = nameLines[0] || "";
+  const line2 = nameLines[1] || "";
+  const line3 = nameLines[2] || "";
+
+  return {
+    name: trimmed,
+    line1,
+    line2,
+    line3,
+    italic: names.italic,
+    subtitle: names.subtitle ? truncateToFit(names.subtitle, 20) : "",
+    subtitleItalic: names.subtitleItalic,
+    confidence: typeof confidence === "number" && !Number.isNaN(confidence) ? confidence : null,
+    count: typeof count === "number" ? count : null,
+    occurrence: typeof occurrence === "number" && !Number.isNaN(occurrence) ? occurrence : null,
+    commonality: getCommonality(occurrence, keySettings),
+    rare: typeof occurrence === "number" && !Number.isNaN(occurrence) && occurrence <= keySettings.rareOccurrenceThreshold
+  };
+}
+
+function truncateToFit(text, maxLen) {
+  if (text.length <= maxLen) {
+    return text;
+  }
+  if (maxLen <= 3) {
+    return text.slice(0, maxLen);
+  }
+  return `${text.slice(0, maxLen - 3)}...`;
+}
+
+// BirdNET-Go sends the photo's author and license alongside its URL.
+function extractImageCredit(json) {
+  const image = json && typeof json === "object" ? json.BirdImage || json.birdImage : null;
+  if (!image || typeof image !== "object") {
+    return null;
+  }
+  const pick = (...keys) => {
+    const value = keys.map((key) => image[key]).find((item) => typeof item === "string" && item.trim());
+    return value ? value.trim() : "";
+  };
+  const credit = {
+    author: pick("AuthorName", "authorName", "author"),
+    authorUrl: pick("AuthorURL", "AuthorUrl", "authorUrl"),
+    license: pick("LicenseName", "licenseName", "license"),
+    licenseUrl: pick("LicenseURL", "LicenseUrl", "licenseUrl"),
+    source: pick("SourceProvider", "sourceProvider", "source")
+  };
+  return Object.values(credit).some(Boolean) ? credit : null;
+}
+
+function forEachContext(action, callback, stationId) {
+  for (const [context, contextAction] of Array.from(contexts)) {
+    if (action && contextAction !== action) {
+      continue;
+    }
+    if (stationId && getStationConfig(getKeySettings(context).stationId).id !== stationId) {
+      continue;
+    }
+    callback(context, contextAction);
+  }
+}
+
+function setTitle(context, title) {
+  if (!websocket || !context) {
+    return;
+  }
+
+  websocket.send(JSON.stringify({
+    event: "setTitle",
+    context: context,
+    payload: {
+      title: title,
+      target: 0
+    }
+  }));
+}
+
+function setImageTitle(context, display, variant) {
+  if (!websocket || !context) {
+    return;
+  }
+  if (encoders.has(context)) {
+    setFeedback(context, getFeedback(context, display, variant));
+    return;
+  }
+
+  let svg = "";
+  if (variant === "border") {
+    svg = renderSvgBorder(display);
+  } else if (variant === "today") {
+    svg = renderSvgToday(display);
+  } else if (variant === "status") {
+    svg = renderSvgStatus(display);
+  } else if (variant === "watch") {
+    svg = renderSvgWatch(display);
+  } else if (variant === "activity") {
+    svg = renderSvgActivity(display);
+  } else if (variant === "stats") {
+    svg = renderSvgStats(display);
+  } else if (variant === "recent") {
+    svg = renderSvgRecent(display);
+  } else if (variant === "sun") {
+    svg = renderSvgSun(display);
+  } else if (variant === "empty") {
+    svg = renderSvgEmpty();
+  } else {
+    svg = renderSvg(display);
+  }
+  const dataUri = svgDataUri(svg);
+
+  websocket.send(JSON.stringify({
+    event: "setImage",
+    context: context,
+    payload: {
+      image: dataUri,
+      target: 0
+    }
+  }));
+
+  setTitle(context, "");
+}
+
+function setFeedback(context, feedback) {
+  if (!websocket || !context) {
+    return;
+  }
+
+  websocket.send(JSON.stringify({
+    event: "setFeedback",
+    context: context,
+    payload: feedback
+  }));
+}
+
+// Fills layouts/detection.json: icon, name, detail line and confidence bar.
+function getFeedback(context, display, variant) {
+  if (variant === "status") {
+    return {
+      icon: svgDataUri(`<svg xmlns="http://www.w3.org/2000/svg" width="56" height="56" viewBox="20 20 104 104">${renderStatusIcon(display.icon, 72, 72, display.color)}</svg>`),
+      name: display.lines[0] || "",
+      detail: display.lines[1] || "",
+      confidence: { value: 0 }
+    };
+  }
+  const name = [display.line1, display.line2, display.line3].filter(Boolean).join(" ");
+  const percent = typeof display.confidence === "number" ? Math.round(display.confidence * 100) : null;
+  const detail = [
+    display.subtitle,
+    display.position,
+    percent !== null ? `${percent}%` : "",
+    display.commonality ? display.commonality.label : "",
+    display.newKind ? (display.newKind === "ever" ? "LIFER" : "NEW") : "",
+    display.paused ? "PAUSED" : "",
+    display.stale ? "STALE" : ""
+  ].filter(Boolean).join(" · ");
+  let icon = display.commonality
+    ? svgDataUri(`<svg xmlns="http://www.w3.org/2000/svg" width="56" height="56" viewBox="0 0 56 56">${renderCommonalityShape(display.commonality, 28, 28, 36)}</svg>`)
+    : "";
+  if (display.imageUrl) {
+    const cached = getCachedImage(display.imageUrl, IMAGE_ICON_SIZE);
+    if (cached) {
+      icon = cached;
     } else {
-      if (current) {
-        lines.push(current);
-        current = word.length <= maxLen ? word : truncateToFit(word, maxLen);
-      } else {
-        lines.push(truncateToFit(word, maxLen));
-        current = "";
+      fetchImageData(display.imageUrl, IMAGE_ICON_SIZE)
+        .then((dataUri) => setFeedback(context, { icon: dataUri }))
+        .catch((err) => logLine(`image fetch error ${String(err && err.message ? err.message : err)}`));
+    }
+  }
+  return {
+    icon,
+    name,
+    detail,
+    confidence: { value: percent || 0, bar_fill_c: confidenceColor(display.confidence) }
+  };
+}
+
+function svgDataUri(svg) {
+  return `data:image/svg+xml;charset=utf8,${encodeURIComponent(svg)}`;
+}
+
+function setImage(context, image) {
+  if (!websocket || !context) {
+    return;
+  }
+
+  websocket.send(JSON.stringify({
+    event: "setImage",
+    context: context,
+    payload: {
+      image: image,
+      target: 0
+    }
+  }));
+}
+
+function renderCommonalityShape(commonality, x, y, size) {
+  const color = commonality.color || "#9ca3af";
+  const stroke = "rgba(0,0,0,0.6)";
+  const strokeWidth = 3;
+  const half = size / 2;
+  const left = x - half;
+  const top = y - half;
+  const right = x + half;
+  const bottom = y + half;
+
+  if (commonality.shape === "square") {
+    return `<rect x="${left}" y="${top}" width="${size}" height="${size}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}" rx="2" ry="2"/>`;
+  }
+  if (commonality.shape === "diamond") {
+    return `<polygon points="${x},${top} ${right},${y} ${x},${bottom} ${left},${y}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  }
+  if (commonality.shape === "star") {
+    const points = [];
+    const outer = half;
+    const inner = half * 0.45;
+    for (let i = 0; i < 10; i += 1) {
+      const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+      const r = i % 2 === 0 ? outer : inner;
+      points.push(`${x + r * Math.cos(angle)},${y + r * Math.sin(angle)}`);
+    }
+    return `<polygon points="${points.join(" ")}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  }
+  if (commonality.shape === "triangle") {
+    return `<polygon points="${x},${top} ${right},${bottom} ${left},${bottom}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  }
+  if (commonality.shape === "hex") {
+    const q = size * 0.28;
+    return `<polygon points="${left + q},${top} ${right - q},${top} ${right},${y} ${right - q},${bottom} ${left + q},${bottom} ${left},${y}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+  }
+  return `<circle cx="${x}" cy="${y}" r="${half}" fill="${color}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+}
+
+// The photo with the overlays the key has switched on: rarity glyph, name band and a confidence ring or edge meter.
+function renderImageWithDot(imageDataUri, display, keySettings) {
+  if (!imageDataUri) {
+    return imageDataUri;
+  }
+  const showRarity = keySettings.imageShowRarity !== false;
+  const edge = keySettings.imageConfidence === "edge";
+  const textLeft = edge ? 10 : 4;
+  const textRight = showRarity && display.commonality ? 106 : 140;
+  const lines = keySettings.imageShowName ? splitName(display.name, 15, display.subtitle ? 1 : 2) : [];
+  const subtitle = lines.length && display.subtitle ? truncateToFit(display.subtitle, 18) : "";
+  const maxLineLen = Math.max(1, ...lines.map((line) => line.length));
+  const nameFont = Math.max(10, Math.min(15, Math.floor((textRight - textLeft) / (maxLineLen * 0.6))));
+  const subtitleFont = Math.max(9, Math.min(12, Math.floor((textRight - textLeft) / (Math.max(1, subtitle.length) * 0.55))));
+  const bandHeight = lines.length ? 10 + lines.length * (nameFont + 3) + (subtitle ? subtitleFont + 3 : 0) : 0;
+  const band = lines.length ? [
+    `<rect x="0" y="${144 - bandHeight}" width="144" height="${bandHeight}" fill="#000000" fill-opacity="0.6"/>`,
+    lines.map((line, i) => `<text x="${(textLeft + textRight) / 2}" y="${144 - bandHeight + 4 + nameFont + i * (nameFont + 3)}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${display.italic ? ` font-style="italic"` : ""} font-size="${nameFont}" fill="#ffffff">${escapeXml(line)}</text>`).join(""),
+    subtitle ? `<text x="${(textLeft + textRight) / 2}" y="${144 - 7}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700"${display.subtitleItalic ? ` font-style="italic"` : ""} font-size="${subtitleFont}" fill="#d1d5db">${escapeXml(subtitle)}</text>` : ""
+  ].join("") : "";
+  return `data:image/svg+xml;charset=utf8,${encodeURIComponent([
+    `<svg xmlns="http://www.w3.org/2000/svg" width="144" height="144" viewBox="0 0 144 144">`,
+    `<image href="${imageDataUri}" x="0" y="0" width="144" height="144" preserveAspectRatio="xMidYMid slice"/>`,
+    band,
+    showRarity ? renderCommonalityShape(display.commonality, 124, 124, 24) : "",
+    keySettings.imageConfidence === "ring" ? renderConfidenceRing(display.confidence, 24, 24) : "",
+    edge ? renderConfidenceEdge(display.confidence) : "",
+    renderNewBadge(display.newKind, lines.length ? 8 : 108),
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join(""))}`;
+}
+
+function renderConfidenceRing(confidence, cx, cy) {
+  if (confidence === null) {
+    return "";
+  }
+  const radius = 14;
+  const circumference = 2 * Math.PI * radius;
+  return [
+    `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="#101010" fill-opacity="0.8"/>`,
+    `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="#2a2a2a" stroke-width="5"/>`,
+    `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${confidenceColor(confidence)}" stroke-width="5" stroke-linecap="round" stroke-dasharray="${circumference * confidence} ${circumference}" transform="rotate(-90 ${cx} ${cy})"/>`
+  ].join("");
+}
+
+function renderSvgCredit(imageDataUri, lines) {
+  // The first line (the author) is set larger and bold, including where it wraps.
+  const wrapped = lines.flatMap((line, index) => splitName(line, 16, 2).map((text) => ({ text, lead: index === 0 }))).slice(0, 5);
+  const startY = Math.round(72 - (wrapped.length * 20) / 2) + 14;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="144" height="144" viewBox="0 0 144 144">`,
+    imageDataUri ? `<image href="${imageDataUri}" x="0" y="0" width="144" height="144" preserveAspectRatio="xMidYMid slice"/>` : "",
+    `<rect width="144" height="144" fill="#000000" fill-opacity="0.72"/>`,
+    wrapped.map((line, i) => `<text x="72" y="${startY + i * 20}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="${line.lead ? 800 : 600}" font-size="${line.lead ? 15 : 13}" fill="#ffffff">${escapeXml(line.text)}</text>`).join(""),
+    `</svg>`
+  ].join("");
+}
+
+// A bar up the left edge, filled from the bottom like the meter tile.
+function renderConfidenceEdge(confidence) {
+  if (confidence === null) {
+    return "";
+  }
+  const fillHeight = Math.round(144 * confidence);
+  return [
+    `<rect x="0" y="0" width="6" height="144" fill="#101010" fill-opacity="0.7"/>`,
+    `<rect x="0" y="${144 - fillHeight}" width="6" height="${fillHeight}" fill="${confidenceColor(confidence)}"/>`
+  ].join("");
+}
+
+function drawImageTile(context, detection) {
+  clearCreditTimer(context);
+  if (context === inspectorContext) {
+    sendImageCredit(context);
+  }
+  const draw = (dataUri) => {
+    const station = getContextStation(context);
+    const status = getContextStatus(station, ACTION_IMAGE);
+    if (status.view) {
+      setImageTitle(context, status.view, "status");
+      return;
+    }
+    const keySettings = getKeySettings(context);
+    const display = formatTitle(detection, detection.confidence, null, detection.occurrence, keySettings);
+    display.stale = status.stale;
+    display.newKind = getHeldNewKind(context, station, detection.name);
+    setImage(context, renderImageWithDot(dataUri, display, keySettings));
+    setTitle(context, "");
+  };
+  const cached = getCachedImage(detection.imageUrl, IMAGE_KEY_SIZE);
+  if (cached) {
+    draw(cached);
+    return;
+  }
+  fetchImageData(detection.imageUrl, IMAGE_KEY_SIZE, detection.imageCredit)
+    .then((dataUri) => {
+      if (imageTargets.get(context) === detection) {
+        draw(dataUri);
+      }
+    })
+    .catch((err) => {
+      logLine(`image fetch error ${String(err && err.message ? err.message : err)}`);
+      if (imageTargets.get(context) === detection) {
+        const status = getContextStatus(getContextStation(context), ACTION_IMAGE);
+        drawDetectionTile(context, ACTION_IMAGE, detection, "", status.stale);
+      }
+    });
+}
+
+function loadImageCache() {
+  try {
+    if (!fs.existsSync(imageIndexFile)) {
+      return;
+    }
+    const data = JSON.parse(fs.readFileSync(imageIndexFile, "utf8"));
+    (Array.isArray(data.entries) ? data.entries : []).forEach((entry) => {
+      if (!entry || !entry.url || !entry.file || !fs.existsSync(path.join(imageCacheDir, entry.file))) {
+        return;
       }
+      // Images cached before resizing are full size and no longer looked up.
+      if (!entry.size) {
+        try {
+          fs.unlinkSync(path.join(imageCacheDir, entry.file));
+        } catch (err) {
+          logLine(`image cache remove failed ${entry.file} ${err && err.message ? err.message : err}`);
+        }
+        scheduleImageIndexSave();
+        return;
+      }
+      imageIndex.set(getImageKey(entry.url, entry.size), {
+        url: entry.url,
+        size: entry.size,
+        file: entry.file,
+        contentType: entry.contentType,
+        bytes: entry.bytes || 0,
+        credit: entry.credit || null
+      });
+    });
+    evictImages();
+    logLine(`image cache loaded images=${imageIndex.size}`);
+  } catch (err) {
+    logLine(`image cache load failed ${err && err.message ? err.message : err}`);
+  }
+}
+
+function scheduleImageIndexSave() {
+  if (imageIndexSaveTimer) {
+    return;
+  }
+  imageIndexSaveTimer = setTimeout(() => {
+    imageIndexSaveTimer = null;
+    saveImageIndex();
+  }, 2000);
+}
+
+function saveImageIndex() {
+  if (imageIndexSaveTimer) {
+    clearTimeout(imageIndexSaveTimer);
+    imageIndexSaveTimer = null;
+  }
+  imageIndexReordered = false;
+  try {
+    const entries = Array.from(imageIndex.values());
+    writeFileAtomic(imageIndexFile, JSON.stringify({ version: 1, entries }));
+  } catch (err) {
+    logLine(`image cache save failed ${err && err.message ? err.message : err}`);
+  }
+}
+
+function getImageCacheLimit() {
+  const megabytes = Number(globalSettings.imageCacheMegabytes);
+  return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : GLOBAL_DEFAULTS.imageCacheMegabytes) * 1024 * 1024;
+}
+
+// The detection's own credit wins; a payload without one falls back to what was saved with the image.
+function getImageCredit(url, credit) {
+  if (!url) {
+    return null;
+  }
+  let saved = null;
+  imageIndex.forEach((entry) => {
+    if (entry.url !== url) {
+      return;
+    }
+    if (credit && JSON.stringify(entry.credit) !== JSON.stringify(credit)) {
+      entry.credit = credit;
+      scheduleImageIndexSave();
+    }
+    saved = saved || entry.credit;
+  });
+  return credit || saved;
+}
+
+function getImageKey(url, size) {
+  return `${size} ${url}`;
+}
+
+// Returns the image from memory or disk, marking it as recently used, or null when it is not cached.
+function getCachedImage(url, size) {
+  if (!url) {
+    return null;
+  }
+  const key = getImageKey(url, size);
+  const entry = imageIndex.get(key);
+  if (entry) {
+    imageIndex.delete(key);
+    imageIndex.set(key, entry);
+    imageIndexReordered = true;
+  }
+  if (imageCache.has(key)) {
+    const dataUri = imageCache.get(key);
+    imageCache.delete(key);
+    imageCache.set(key, dataUri);
+    return dataUri;
+  }
+  if (!entry) {
+    return null;
+  }
+  try {
+    const data = fs.readFileSync(path.join(imageCacheDir, entry.file));
+    const dataUri = `data:${entry.contentType || "image/jpeg"};base64,${data.toString("base64")}`;
+    rememberImage(key, dataUri);
+    return dataUri;
+  } catch (err) {
+    logLine(`image cache read failed ${err && err.message ? err.message : err}`);
+    imageIndex.delete(key);
+    scheduleImageIndexSave();
+    return null;
+  }
+}
+
+function rememberImage(key, dataUri) {
+  if (imageCache.has(key)) {
+    imageMemoryBytes -= imageCache.get(key).length;
+    imageCache.delete(key);
+  }
+  imageCache.set(key, dataUri);
+  imageMemoryBytes += dataUri.length;
+  for (const [oldKey, oldUri] of imageCache) {
+    if (imageMemoryBytes <= IMAGE_MEMORY_MAX_BYTES || oldKey === key) {
+      break;
     }
+    imageCache.delete(oldKey);
+    imageMemoryBytes -= oldUri.length;
+  }
+}
+
+function storeImage(url, size, contentType, buffer, credit) {
+  const key = getImageKey(url, size);
+  const file = `${crypto.createHash("sha1").update(url).digest("hex")}-${size}.img`;
+  try {
+    fs.mkdirSync(imageCacheDir, { recursive: true });
+    writeFileAtomic(path.join(imageCacheDir, file), buffer);
+    imageIndex.delete(key);
+    imageIndex.set(key, { url, size, file, contentType, bytes: buffer.length, credit: credit || null });
+    evictImages();
+    scheduleImageIndexSave();
+  } catch (err) {
+    logLine(`image cache write failed ${err && err.message ? err.message : err}`);
+  }
+}
+
+function evictImages() {
+  const limit = getImageCacheLimit();
+  let total = 0;
+  imageIndex.forEach((entry) => {
+    total += entry.bytes;
+  });
+  for (const [key, entry] of imageIndex) {
+    // The newest image is always kept, even when it alone is over the limit.
+    if (total <= limit || imageIndex.size === 1) {
+      break;
+    }
+    imageIndex.delete(key);
+    total -= entry.bytes;
+    try {
+      fs.unlinkSync(path.join(imageCacheDir, entry.file));
+    } catch (err) {
+      // already gone
+    }
+    scheduleImageIndexSave();
+    logLine(`image cache evicted ${key}`);
+  }
+}
+
+function fetchImageData(url, size, credit) {
+  const cached = getCachedImage(url, size);
+  if (cached) {
+    return Promise.resolve(cached);
+  }
+  if (typeof fetch !== "function") {
+    return Promise.reject(new Error("fetch not available"));
+  }
+  if (imageFailures.has(url)) {
+    return Promise.reject(new Error("image unavailable"));
+  }
+
+  // One download serves both sizes.
+  if (!imageInFlight.has(url)) {
+    const promise = fetchImageWithRetry(url, 0)
+      .then(({ buffer }) => resizeImage(buffer, [IMAGE_KEY_SIZE, IMAGE_ICON_SIZE]).then((images) => {
+        const dataUris = {};
+        images.forEach((image, targetSize) => {
+          dataUris[targetSize] = `data:${image.contentType};base64,${image.buffer.toString("base64")}`;
+          rememberImage(getImageKey(url, targetSize), dataUris[targetSize]);
+          storeImage(url, targetSize, image.contentType, image.buffer, credit);
+        });
+        logLine(`image cached ${url} original=${buffer.length} key=${dataUris[IMAGE_KEY_SIZE].length} icon=${dataUris[IMAGE_ICON_SIZE].length}`);
+        return dataUris;
+      }))
+      .catch((err) => {
+        if (err && err.permanent) {
+          if (imageFailures.size >= IMAGE_FAILURES_MAX) {
+            imageFailures.clear();
+          }
+          imageFailures.add(url);
+        }
+        throw err;
+      })
+      .finally(() => {
+        imageInFlight.delete(url);
+      });
+    imageInFlight.set(url, promise);
+  }
+  return imageInFlight.get(url).then((dataUris) => dataUris[size]);
+}
+
+function loadImageCodecs() {
+  if (imageCodecs) {
+    return imageCodecs;
+  }
+
+  try {
+    imageCodecs = { jpeg: require("jpeg-js"), PNG: require("pngjs").PNG };
+    logLine("image codecs loaded");
+    return imageCodecs;
+  } catch (err) {
+    logLine(`image codecs require failed ${err && err.stack ? err.stack : err}`);
+    return null;
+  }
+}
+
+// Crops the middle square and scales it to each size, re-encoded as JPEG unless the image uses
+// transparency. Rejects images it cannot shrink (WebP, GIF, too large, corrupt) so the key falls back
+// to its name tile rather than sending full-size bytes on every redraw.
+// Each step runs on its own turn of the event loop so keys and MQTT are served in between.
+function resizeImage(buffer, sizes) {
+  const codecs = loadImageCodecs();
+  const images = new Map();
+  const dimensions = readImageSize(buffer);
+  const fail = (message) => {
+    const error = new Error(message);
+    error.permanent = true;
+    return Promise.reject(error);
+  };
+  if (!codecs) {
+    return fail("image codecs not available");
+  }
+  if (!dimensions) {
+    return fail("image format not supported");
+  }
+  if (dimensions.width * dimensions.height > IMAGE_MAX_PIXELS) {
+    return fail(`image too large ${dimensions.width}x${dimensions.height}`);
+  }
+  let decoded = null;
+  let opaque = true;
+  return yieldToEventLoop()
+    .then(() => {
+      decoded = dimensions.type === "jpeg"
+        ? codecs.jpeg.decode(buffer, {
+          useTArray: true,
+          formatAsRGBA: true,
+          maxResolutionInMP: IMAGE_MAX_PIXELS / 1000000,
+          maxMemoryUsageInMB: IMAGE_DECODE_MEMORY_MB
+        })
+        : codecs.PNG.sync.read(buffer);
+      for (let i = 3; i < decoded.data.length && opaque; i += 4) {
+        opaque = decoded.data[i] === 255;
+      }
+    })
+    .then(() => sizes.reduce((chain, size) => chain.then(yieldToEventLoop).then(() => {
+      const data = scaleToSquare(decoded, size);
+      if (opaque) {
+        const encoded = codecs.jpeg.encode({ width: size, height: size, data }, IMAGE_JPEG_QUALITY);
+        images.set(size, { contentType: "image/jpeg", buffer: Buffer.from(encoded.data) });
+        return;
+      }
+      const png = new codecs.PNG({ width: size, height: size });
+      png.data = Buffer.from(data);
+      images.set(size, { contentType: "image/png", buffer: codecs.PNG.sync.write(png) });
+    }), Promise.resolve()))
+    .then(() => images, (err) => fail(`image resize failed ${err && err.message ? err.message : err}`));
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Reads a JPEG's or PNG's dimensions from its header, before anything is decoded.
+function readImageSize(buffer) {
+  if (buffer.length > 24 && buffer.slice(0, 4).toString("latin1") === "\x89PNG") {
+    return { type: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Start-of-frame markers hold the size; 0xc4, 0xc8 and 0xcc share the range but are not frames.
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { type: "jpeg", width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Averages every source pixel that falls inside each target pixel, so large photos shrink without aliasing.
+function scaleToSquare(image, size) {
+  const side = Math.min(image.width, image.height);
+  const left = Math.floor((image.width - side) / 2);
+  const top = Math.floor((image.height - side) / 2);
+  const out = new Uint8Array(size * size * 4);
+  for (let ty = 0; ty < size; ty += 1) {
+    const y0 = top + Math.floor((ty * side) / size);
+    const y1 = Math.max(y0 + 1, top + Math.floor(((ty + 1) * side) / size));
+    for (let tx = 0; tx < size; tx += 1) {
+      const x0 = left + Math.floor((tx * side) / size);
+      const x1 = Math.max(x0 + 1, left + Math.floor(((tx + 1) * side) / size));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let y = y0; y < y1; y += 1) {
+        for (let x = x0; x < x1; x += 1) {
+          const i = (y * image.width + x) * 4;
+          r += image.data[i];
+          g += image.data[i + 1];
+          b += image.data[i + 2];
+          a += image.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (ty * size + tx) * 4;
+      out[o] = Math.round(r / count);
+      out[o + 1] = Math.round(g / count);
+      out[o + 2] = Math.round(b / count);
+      out[o + 3] = Math.round(a / count);
+    }
+  }
+  return out;
+}
+
+// Client errors other than timeouts and rate limits will not get better on a retry.
+function fetchImageWithRetry(url, attempt) {
+  return fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) })
+    .then((res) => {
+      if (!res.ok) {
+        const error = new Error(`http ${res.status}`);
+        error.permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+        throw error;
+      }
+      const tooLarge = () => {
+        const error = new Error("image too large");
+        error.permanent = true;
+        return error;
+      };
+      if (Number(res.headers.get("content-length")) > IMAGE_DOWNLOAD_MAX_BYTES) {
+        if (res.body) {
+          res.body.cancel().catch(() => {});
+        }
+        throw tooLarge();
+      }
+      return res.arrayBuffer().then((buf) => {
+        if (buf.byteLength > IMAGE_DOWNLOAD_MAX_BYTES) {
+          throw tooLarge();
+        }
+        return { buffer: Buffer.from(buf) };
+      });
+    })
+    .catch((err) => {
+      if (err.permanent || attempt >= IMAGE_FETCH_RETRIES) {
+        throw err;
+      }
+      logLine(`image fetch retry ${attempt + 1} ${url} ${err && err.message ? err.message : err}`);
+      return new Promise((resolve) => setTimeout(resolve, IMAGE_RETRY_DELAY_MS * (attempt + 1)))
+        .then(() => fetchImageWithRetry(url, attempt + 1));
+    });
+}
+
+function renderSvg(display) {
+  const width = 144;
+  const height = 144;
+  const statsFont = 16;
+  const pillY = 104;
+
+  const line1 = escapeXml(display.line1 || "");
+  const line2 = escapeXml(display.line2 || "");
+  const line3 = escapeXml(display.line3 || "");
+  const confPercent = display.confidence !== null ? Math.round(display.confidence * 100) : null;
+  const confColor = confidenceColor(display.confidence);
+  const confAlpha = confidenceBackgroundAlpha(display.confidence);
+  const ringRadius = 16;
+  const ringThickness = 5;
+  const ringCx = 22;
+  const ringCy = 118;
+  const ringCircumference = 2 * Math.PI * ringRadius;
+  const ringProgress = confPercent !== null ? ringCircumference * (confPercent / 100) : 0;
+  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
+  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
+  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
+  const commonality = display.commonality;
+  const nameAreaHeight = pillY - 8 - (display.subtitle ? 18 : 0);
+  let nameFont = Math.min(30, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
+  if (maxLineLen > 12) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+  }
+  if (lineCount === 1 && maxLineLen > 9) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+  }
+  const maxTextWidth = width - 26;
+  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
+  if (Number.isFinite(widthFit)) {
+    nameFont = Math.min(nameFont, widthFit);
+  }
+  nameFont = Math.max(16, nameFont);
+  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
+  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
+  if (startY < nameFont + 4) {
+    startY = nameFont + 4;
+  }
+  const line1Y = startY;
+  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
+  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
+  const nameStyle = display.italic ? ` font-style="italic"` : "";
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    renderCommonalityShape(commonality, 118, 118, 24),
+    `<defs>`,
+    `</defs>`,
+    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
+    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
+    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
+    renderSubtitle(display, line3Y + 20),
+    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="#101010"/>`,
+    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="none" stroke="#2a2a2a" stroke-width="${ringThickness}"/>`,
+    `<circle cx="${ringCx}" cy="${ringCy}" r="${ringRadius}" fill="none" stroke="${confColor}" stroke-width="${ringThickness}" stroke-linecap="round" stroke-dasharray="${ringProgress} ${ringCircumference}" transform="rotate(-90 ${ringCx} ${ringCy})"/>`,
+    renderNewBadge(display.newKind),
+    renderPositionBadge(display.position),
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgBorder(display) {
+  const width = 144;
+  const height = 144;
+  const statsFont = 16;
+  const pillY = 104;
+
+  const line1 = escapeXml(display.line1 || "");
+  const line2 = escapeXml(display.line2 || "");
+  const line3 = escapeXml(display.line3 || "");
+  const confPercent = display.confidence !== null ? Math.round(display.confidence * 100) : null;
+  const confColor = confidenceColor(display.confidence);
+  const confColorDark = shadeColor(confColor, -35);
+  const confAlpha = confidenceMeterAlpha(display.confidence);
+  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
+  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
+  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
+  const commonality = display.commonality;
+  const nameAreaHeight = pillY - 8 - (display.subtitle ? 18 : 0);
+  let nameFont = Math.min(30, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
+  if (maxLineLen > 12) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+  }
+  if (lineCount === 1 && maxLineLen > 9) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+  }
+  const maxTextWidth = width - 26;
+  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
+  if (Number.isFinite(widthFit)) {
+    nameFont = Math.min(nameFont, widthFit);
+  }
+  nameFont = Math.max(16, nameFont);
+  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
+  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
+  if (startY < nameFont + 4) {
+    startY = nameFont + 4;
+  }
+  const line1Y = startY;
+  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
+  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
+  const nameStyle = display.italic ? ` font-style="italic"` : "";
+
+  const border = 6;
+  const radius = 14;
+  const path = [
+    `M ${border + radius} ${border}`,
+    `H ${width - border - radius}`,
+    `A ${radius} ${radius} 0 0 1 ${width - border} ${border + radius}`,
+    `V ${height - border - radius}`,
+    `A ${radius} ${radius} 0 0 1 ${width - border - radius} ${height - border}`,
+    `H ${border + radius}`,
+    `A ${radius} ${radius} 0 0 1 ${border} ${height - border - radius}`,
+    `V ${border + radius}`,
+    `A ${radius} ${radius} 0 0 1 ${border + radius} ${border}`,
+    "Z"
+  ].join(" ");
+
+  const progress = confPercent !== null ? confPercent : 0;
+  const fillHeight = Math.round((height - border * 2) * (progress / 100));
+  const fillY = height - border - fillHeight;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs>`,
+    `<linearGradient id="meterFill" x1="0" y1="0" x2="0" y2="1">`,
+    `<stop offset="0%" stop-color="${confColor}"/>`,
+    `<stop offset="100%" stop-color="${confColorDark}"/>`,
+    `</linearGradient>`,
+    `<clipPath id="meterClip">`,
+    `<rect x="${border}" y="${border}" width="${width - border * 2}" height="${height - border * 2}" rx="${radius}" ry="${radius}"/>`,
+    `</clipPath>`,
+    `</defs>`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    renderCommonalityShape(commonality, 118, 118, 24),
+    `<rect x="${border}" y="${fillY}" width="${width - border * 2}" height="${fillHeight}" fill="url(#meterFill)" fill-opacity="${confAlpha}" clip-path="url(#meterClip)"/>`,
+    `<path d="${path}" fill="none" stroke="rgba(255,255,255,0.15)" stroke-width="${border}" />`,
+    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
+    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
+    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
+    renderSubtitle(display, line3Y + 20),
+    renderNewBadge(display.newKind),
+    renderPositionBadge(display.position),
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgToday(display) {
+  const width = 144;
+  const height = 144;
+  const pillY = 104;
+
+  const line1 = escapeXml(display.line1 || "");
+  const line2 = escapeXml(display.line2 || "");
+  const line3 = escapeXml(display.line3 || "");
+  const commonality = display.commonality;
+  const maxLineLen = Math.max(line1.length, line2.length, line3.length);
+  const lineCount = [line1, line2, line3].filter(Boolean).length || 1;
+  const nameStroke = display.rare ? "rgba(255,200,80,0.9)" : "rgba(0,0,0,0.7)";
+  const nameAreaHeight = pillY - 6 - (display.subtitle ? 18 : 0);
+  let nameFont = Math.min(32, Math.floor((nameAreaHeight - (lineCount - 1) * 6) / lineCount));
+  if (maxLineLen > 12) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 12) * 1.5);
+  }
+  if (lineCount === 1 && maxLineLen > 9) {
+    nameFont = Math.max(18, nameFont - (maxLineLen - 9) * 2);
+  }
+  const maxTextWidth = width - 26;
+  const widthFit = Math.floor(maxTextWidth / Math.max(1, maxLineLen * 0.62));
+  if (Number.isFinite(widthFit)) {
+    nameFont = Math.min(nameFont, widthFit);
+  }
+  nameFont = Math.max(16, nameFont);
+  const totalNameHeight = lineCount * nameFont + (lineCount - 1) * 6;
+  let startY = Math.floor((nameAreaHeight - totalNameHeight) / 2) + nameFont;
+  if (startY < nameFont + 4) {
+    startY = nameFont + 4;
+  }
+  const line1Y = startY;
+  const line2Y = lineCount >= 2 ? startY + nameFont + 6 : startY;
+  const line3Y = lineCount >= 3 ? startY + (nameFont + 6) * 2 : line2Y;
+  const nameStyle = display.italic ? ` font-style="italic"` : "";
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    `<text x="72" y="${line1Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line1}</text>`,
+    `<text x="72" y="${line2Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line2}</text>`,
+    `<text x="72" y="${line3Y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="${nameStroke}" stroke-width="3" paint-order="stroke">${line3}</text>`,
+    renderSubtitle(display, line3Y + 20),
+    renderCommonalityShape(commonality, 118, 118, 24),
+    renderNewBadge(display.newKind),
+    renderPositionBadge(display.position),
+    display.paused ? renderPauseMarker(18, 18) : "",
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+// The smaller second name under a tile's name lines, for the "both" and "bilingual" display modes.
+function renderSubtitle(display, y) {
+  if (!display.subtitle) {
+    return "";
+  }
+  const font = Math.max(10, Math.min(14, Math.floor(128 / (display.subtitle.length * 0.55))));
+  return `<text x="72" y="${y}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700"${display.subtitleItalic ? ` font-style="italic"` : ""} font-size="${font}" fill="#d1d5db" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${escapeXml(display.subtitle)}</text>`;
+}
+
+// A group slot past the end of today's list.
+function renderSvgEmpty() {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="144" height="144" viewBox="0 0 144 144">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    `<circle cx="72" cy="72" r="4" fill="#4b5563"/>`,
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgStatus(view) {
+  const width = 144;
+  const height = 144;
+  const line1 = escapeXml(view.lines[0] || "");
+  const line2 = escapeXml(view.lines[1] || "");
+  const fitFont = (text, max) => Math.max(12, Math.min(max, Math.floor((width - 16) / Math.max(1, text.length * 0.72))));
+  const font1 = fitFont(line1, 22);
+  const font2 = fitFont(line2, 16);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    renderStatusIcon(view.icon, 72, 46, view.color),
+    `<text x="72" y="102" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${font1}" fill="#ffffff" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${line1}</text>`,
+    `<text x="72" y="126" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700" font-size="${font2}" fill="${view.color}" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${line2}</text>`,
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgWatch(display) {
+  const width = 144;
+  const height = 144;
+  const line1 = escapeXml(display.line1 || "");
+  const line2 = escapeXml(display.line2 || "");
+  const line3 = escapeXml(display.line3 || "");
+  const lines = [line1, line2, line3].filter(Boolean);
+  const maxLineLen = Math.max(1, ...lines.map((line) => line.length));
+  const nameFont = Math.max(16, Math.min(28, Math.floor((width - 26) / (maxLineLen * 0.62))));
+  const nameArea = 96 - (display.subtitle ? 18 : 0);
+  const startY = Math.floor((nameArea - (lines.length * nameFont + (lines.length - 1) * 6)) / 2) + nameFont;
+  const lastY = startY + (lines.length - 1) * (nameFont + 6);
+  const nameStyle = display.italic ? ` font-style="italic"` : "";
+  const frame = display.flashOn ? "#ef4444" : "#facc15";
+  const fill = display.flashOn ? "#7f1d1d" : "transparent";
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect x="3" y="3" width="138" height="138" rx="16" ry="16" fill="${fill}" stroke="${frame}" stroke-width="6"/>`,
+    lines.map((line, i) => `<text x="72" y="${startY + i * (nameFont + 6)}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${line}</text>`).join(""),
+    renderSubtitle(display, lastY + 20),
+    `<rect x="14" y="106" width="84" height="24" rx="12" ry="12" fill="#111827" stroke="${frame}" stroke-width="2"/>`,
+    `<text x="56" y="123" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="#ffffff">${escapeXml(display.ago || "")}</text>`,
+    renderCommonalityShape(display.commonality, 118, 118, 24),
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgRecent(display) {
+  const width = 144;
+  const height = 144;
+  const lines = [display.line1, display.line2, display.line3].filter(Boolean).map(escapeXml);
+  const maxLineLen = Math.max(1, ...lines.map((line) => line.length));
+  const nameArea = 76 - (display.subtitle ? 18 : 0);
+  const nameFont = Math.max(16, Math.min(26, Math.floor((nameArea - (lines.length - 1) * 6) / lines.length), Math.floor((width - 26) / (maxLineLen * 0.62))));
+  const startY = 24 + Math.floor((nameArea - (lines.length * nameFont + (lines.length - 1) * 6)) / 2) + nameFont;
+  const lastY = startY + (lines.length - 1) * (nameFont + 6);
+  const nameStyle = display.italic ? ` font-style="italic"` : "";
+  const confColor = confidenceColor(display.confidence);
+  const confText = display.confidence !== null ? `${Math.round(display.confidence * 100)}%` : "";
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    renderPositionBadge(display.position),
+    `<text x="136" y="18" text-anchor="end" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="${confColor}" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${confText}</text>`,
+    lines.map((line, i) => `<text x="72" y="${startY + i * (nameFont + 6)}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800"${nameStyle} font-size="${nameFont}" fill="#ffffff" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${line}</text>`).join(""),
+    renderSubtitle(display, lastY + 20),
+    `<rect x="14" y="106" width="84" height="24" rx="12" ry="12" fill="#111827" stroke="${confColor}" stroke-width="2"/>`,
+    `<text x="56" y="123" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="#ffffff">${escapeXml(display.ago || "")}</text>`,
+    renderCommonalityShape(display.commonality, 118, 118, 24),
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgActivity(display) {
+  const width = 144;
+  const height = 144;
+  const left = 10;
+  const top = 34;
+  const chartWidth = 124;
+  const chartHeight = 68;
+  const bottom = top + chartHeight;
+  const counts = display.counts;
+  const max = Math.max(1, display.average, ...counts);
+  const slot = chartWidth / Math.max(1, counts.length);
+  const toY = (value) => bottom - (value / max) * chartHeight;
+  const trend = display.current >= display.average ? "#22c55e" : "#f59e0b";
+  const averageY = toY(display.average);
+  let chart = "";
+  if (display.style === "line") {
+    const points = counts.map((count, i) => `${(left + slot * (i + 0.5)).toFixed(1)},${toY(count).toFixed(1)}`);
+    chart = [
+      `<polyline points="${left},${bottom} ${points.join(" ")} ${left + chartWidth},${bottom}" fill="#38bdf8" fill-opacity="0.2" stroke="none"/>`,
+      `<polyline points="${points.join(" ")}" fill="none" stroke="#38bdf8" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"/>`,
+      points.length ? `<circle cx="${points[points.length - 1].split(",")[0]}" cy="${points[points.length - 1].split(",")[1]}" r="4" fill="${trend}"/>` : ""
+    ].join("");
+  } else {
+    const gap = slot > 6 ? 2 : 1;
+    chart = counts.map((count, i) => {
+      const barHeight = Math.max(count ? 2 : 0, bottom - toY(count));
+      const fill = i === counts.length - 1 ? trend : "#38bdf8";
+      return `<rect x="${(left + slot * i + gap / 2).toFixed(1)}" y="${(bottom - barHeight).toFixed(1)}" width="${Math.max(1, slot - gap).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="1" fill="${fill}" fill-opacity="0.85"/>`;
+    }).join("");
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    `<text x="72" y="22" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="15" fill="#d1d5db">${escapeXml(display.label)}</text>`,
+    `<line x1="${left}" y1="${bottom}" x2="${left + chartWidth}" y2="${bottom}" stroke="#4b5563" stroke-width="2"/>`,
+    chart,
+    `<line x1="${left}" y1="${averageY.toFixed(1)}" x2="${left + chartWidth}" y2="${averageY.toFixed(1)}" stroke="${trend}" stroke-width="2" stroke-dasharray="5 4"/>`,
+    `<text x="${left}" y="128" font-family="Arial, sans-serif" font-weight="800" font-size="14" fill="${trend}">NOW ${display.current}</text>`,
+    `<text x="${left + chartWidth}" y="128" text-anchor="end" font-family="Arial, sans-serif" font-weight="700" font-size="12" fill="#9ca3af">AVG ${formatAverage(display.average)}</text>`,
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgStats(display) {
+  const width = 144;
+  const height = 144;
+  const value = escapeXml(String(display.value));
+  const valueFont = Math.min(58, Math.floor(120 / Math.max(1, value.length * 0.62)));
+  const deltaColor = display.delta > 0 ? "#22c55e" : display.delta < 0 ? "#f87171" : "#9ca3af";
+  const deltaText = display.delta === null ? "no data yday" : `${display.delta > 0 ? "+" : ""}${display.delta} vs yday`;
+  const tiers = display.tiers
+    ? [
+      renderCommonalityShape(display.tiers.rare.commonality, 40, 96, 14),
+      `<text x="52" y="101" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="#e5e7eb">${display.tiers.rare.count}</text>`,
+      renderCommonalityShape(display.tiers.epic.commonality, 88, 96, 16),
+      `<text x="100" y="101" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="#e5e7eb">${display.tiers.epic.count}</text>`
+    ].join("")
+    : "";
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    `<text x="72" y="22" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="15" fill="#d1d5db">${escapeXml(display.label)}</text>`,
+    `<text x="72" y="${display.tiers ? 76 : 86}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${valueFont}" fill="#ffffff" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${value}</text>`,
+    tiers,
+    `<rect x="14" y="110" width="116" height="24" rx="12" ry="12" fill="#111827" stroke="${deltaColor}" stroke-width="2"/>`,
+    `<text x="72" y="127" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="${deltaColor}">${escapeXml(deltaText)}</text>`,
+    display.stale ? renderStaleMarker() : "",
+    `</svg>`
+  ].join("");
+}
+
+function renderSvgSun(display) {
+  const width = 144;
+  const height = 144;
+  const countdown = escapeXml(display.countdown);
+  const countdownFont = Math.min(40, Math.floor(120 / Math.max(1, countdown.length * 0.62)));
+  const time = escapeXml(`at ${display.time}`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="transparent"/>`,
+    `<text x="72" y="22" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="15" fill="#d1d5db">${escapeXml(display.label)} IN</text>`,
+    `<g transform="translate(72 46) scale(0.6) translate(-72 -46)">${renderStatusIcon("sun", 72, 46, display.color)}</g>`,
+    `<text x="72" y="${74 + countdownFont / 2}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="${countdownFont}" fill="#ffffff" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${countdown}</text>`,
+    `<rect x="14" y="110" width="116" height="24" rx="12" ry="12" fill="#111827" stroke="${display.color}" stroke-width="2"/>`,
+    `<text x="72" y="127" text-anchor="middle" font-family="Arial, sans-serif" font-weight="700" font-size="${time.length > 14 ? 12 : 14}" fill="${display.color}">${time}</text>`,
+    `</svg>`
+  ].join("");
+}
+
+function formatAverage(value) {
+  return value >= 10 ? String(Math.round(value)) : value.toFixed(1).replace(/\.0$/, "");
+}
+
+function renderStatusIcon(icon, x, y, color) {
+  const stroke = `stroke="${color}" stroke-width="5" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+  if (icon === "dots") {
+    return [-18, 0, 18].map((dx, i) => `<circle cx="${x + dx}" cy="${y}" r="6" fill="${color}" fill-opacity="${0.4 + i * 0.3}"/>`).join("");
+  }
+  if (icon === "clock") {
+    return `<circle cx="${x}" cy="${y}" r="22" ${stroke}/><path d="M ${x} ${y - 12} V ${y} L ${x + 10} ${y + 6}" ${stroke}/>`;
+  }
+  if (icon === "lock") {
+    return [
+      `<path d="M ${x - 12} ${y - 4} V ${y - 12} A 12 12 0 0 1 ${x + 12} ${y - 12} V ${y - 4}" ${stroke}/>`,
+      `<rect x="${x - 20}" y="${y - 4}" width="40" height="28" rx="4" fill="${color}"/>`
+    ].join("");
+  }
+  if (icon === "ban") {
+    return `<circle cx="${x}" cy="${y}" r="22" ${stroke}/><path d="M ${x - 15} ${y + 15} L ${x + 15} ${y - 15}" ${stroke}/>`;
+  }
+  if (icon === "plug") {
+    return [
+      `<path d="M ${x - 8} ${y - 24} V ${y - 12} M ${x + 8} ${y - 24} V ${y - 12}" ${stroke}/>`,
+      `<path d="M ${x - 16} ${y - 12} H ${x + 16} V ${y} A 16 16 0 0 1 ${x - 16} ${y} Z" fill="${color}"/>`,
+      `<path d="M ${x} ${y + 16} V ${y + 24}" ${stroke}/>`
+    ].join("");
+  }
+  if (icon === "cross") {
+    return `<circle cx="${x}" cy="${y}" r="22" ${stroke}/><path d="M ${x - 10} ${y - 10} L ${x + 10} ${y + 10} M ${x + 10} ${y - 10} L ${x - 10} ${y + 10}" ${stroke}/>`;
+  }
+  if (icon === "eye") {
+    return [
+      `<path d="M ${x - 26} ${y} Q ${x} ${y - 26} ${x + 26} ${y} Q ${x} ${y + 26} ${x - 26} ${y} Z" ${stroke}/>`,
+      `<circle cx="${x}" cy="${y}" r="8" fill="${color}"/>`
+    ].join("");
+  }
+  if (icon === "sun") {
+    // A half sun on the horizon, with rays.
+    const rays = [-60, -30, 0, 30, 60].map((deg) => {
+      const angle = deg * Math.PI / 180;
+      const point = (r) => `${(x + r * Math.sin(angle)).toFixed(1)} ${(y + 10 - r * Math.cos(angle)).toFixed(1)}`;
+      return `M ${point(19)} L ${point(27)}`;
+    }).join(" ");
+    return [
+      `<path d="M ${x - 13} ${y + 10} A 13 13 0 0 1 ${x + 13} ${y + 10} Z" fill="${color}"/>`,
+      `<path d="M ${x - 28} ${y + 16} H ${x + 28} ${rays}" ${stroke}/>`
+    ].join("");
+  }
+  if (icon === "shield") {
+    return [
+      `<path d="M ${x} ${y - 24} L ${x + 20} ${y - 16} V ${y} C ${x + 20} ${y + 12} ${x + 10} ${y + 20} ${x} ${y + 24} C ${x - 10} ${y + 20} ${x - 20} ${y + 12} ${x - 20} ${y} V ${y - 16} Z" ${stroke}/>`,
+      `<path d="M ${x} ${y - 10} V ${y + 4}" ${stroke}/><circle cx="${x}" cy="${y + 13}" r="3" fill="${color}"/>`
+    ].join("");
+  }
+  return [
+    `<path d="M ${x} ${y - 24} L ${x + 24} ${y + 20} H ${x - 24} Z" ${stroke}/>`,
+    `<path d="M ${x} ${y - 8} V ${y + 6}" ${stroke}/><circle cx="${x}" cy="${y + 13}" r="3" fill="${color}"/>`
+  ].join("");
+}
+
+function renderStaleMarker() {
+  return [
+    `<rect width="144" height="144" fill="#000000" fill-opacity="0.45"/>`,
+    `<rect x="86" y="6" width="52" height="20" rx="10" ry="10" fill="#6b7280" stroke="rgba(0,0,0,0.6)" stroke-width="2"/>`,
+    `<text x="112" y="20" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="12" fill="#ffffff">STALE</text>`
+  ].join("");
+}
+
+// Gold frame and pill for a first sighting; "LIFER" when it is the first ever.
+function renderNewBadge(newKind, pillY = 108) {
+  if (!newKind) {
+    return "";
+  }
+  const label = newKind === "ever" ? "LIFER" : "NEW";
+  return [
+    `<rect x="3" y="3" width="138" height="138" rx="16" ry="16" fill="none" stroke="#facc15" stroke-width="4"/>`,
+    `<rect x="46" y="${pillY}" width="52" height="20" rx="10" ry="10" fill="#facc15" stroke="rgba(0,0,0,0.6)" stroke-width="2"/>`,
+    `<text x="72" y="${pillY + 14}" text-anchor="middle" font-family="Arial, sans-serif" font-weight="800" font-size="12" fill="#111827">${label}</text>`
+  ].join("");
+}
+
+function renderPositionBadge(position) {
+  if (!position) {
+    return "";
+  }
+  return `<text x="8" y="18" font-family="Arial, sans-serif" font-weight="700" font-size="14" fill="#d1d5db" stroke="rgba(0,0,0,0.7)" stroke-width="3" paint-order="stroke">${escapeXml(position)}</text>`;
+}
+
+function renderPauseMarker(x, y) {
+  return [
+    `<rect x="${x - 8}" y="${y - 9}" width="6" height="18" rx="1" fill="#e5e7eb" stroke="rgba(0,0,0,0.6)" stroke-width="2"/>`,
+    `<rect x="${x + 2}" y="${y - 9}" width="6" height="18" rx="1" fill="#e5e7eb" stroke="rgba(0,0,0,0.6)" stroke-width="2"/>`
+  ].join("");
+}
+
+function splitName(text, maxLen, maxLines) {
+  if (!text) {
+    return [];
+  }
+
+  const words = text.split(/\s+/);
+  const lines = [];
+  let current = "";
+
+  for (const word of words) {
+    const next = (current + " " + word).trim();
+    if (next.length <= maxLen) {
+      current = next;
+    } else {
+      if (current) {
+        lines.push(current);
+        current = word.length <= maxLen ? word : truncateToFit(word, maxLen);
+      } else {
+        lines.push(truncateToFit(word, maxLen));
+        current = "";
+      }
+    }
+
+    if (lines.length === maxLines) {
+      break;
+    }
+  }
+
+  if (lines.length < maxLines && current) {
+    lines.push(current);
+  }
+
+  if (lines.length > maxLines) {
+    return lines.slice(0, maxLines);
+  }
+
+  if (lines.length === maxLines && words.length > 0) {
+    const allText = lines.join(" ");
+    if (allText.length < text.length) {
+      lines[maxLines - 1] = truncateToFit(lines[maxLines - 1], maxLen);
+    }
+  }
+
+  return lines;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function confidenceColor(confidence) {
+  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
+    return "#666666";
+  }
+  const clamped = Math.max(0, Math.min(1, confidence));
+  const hue = clamped * 120; // 0 = red, 120 = green
+  return hslToHex(hue, 85, 45);
+}
+
+function hslToHex(h, s, l) {
+  const sat = s / 100;
+  const light = l / 100;
+  const c = (1 - Math.abs(2 * light - 1)) * sat;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = light - c / 2;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  if (h < 60) {
+    r = c; g = x; b = 0;
+  } else if (h < 120) {
+    r = x; g = c; b = 0;
+  } else if (h < 180) {
+    r = 0; g = c; b = x;
+  } else if (h < 240) {
+    r = 0; g = x; b = c;
+  } else if (h < 300) {
+    r = x; g = 0; b = c;
+  } else {
+    r = c; g = 0; b = x;
+  }
+  const toHex = (n) => Math.round((n + m) * 255).toString(16).padStart(2, "0");
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+function shadeColor(hex, percent) {
+  const clean = hex.replace("#", "");
+  const num = parseInt(clean, 16);
+  const amt = Math.round(2.55 * percent);
+  const r = Math.max(0, Math.min(255, (num >> 16) + amt));
+  const g = Math.max(0, Math.min(255, ((num >> 8) & 0x00ff) + amt));
+  const b = Math.max(0, Math.min(255, (num & 0x0000ff) + amt));
+  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+}
+
+function confidenceBackgroundAlpha(confidence) {
+  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
+    return 0;
+  }
+  const clamped = Math.max(0, Math.min(1, confidence));
+  return 0.06 + clamped * 0.12;
+}
+
+function confidenceMeterAlpha(confidence) {
+  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
+    return 0.12;
+  }
+  const clamped = Math.max(0, Math.min(1, confidence));
+  return 0.18 + clamped * 0.35;
+}
+
+function recordDetection(station) {
+  const now = Date.now();
+  station.detectionTimestamps.push(now);
+  pruneDetections(station, now);
+}
+
+function pruneDetections(station, now) {
+  const cutoff = now - 60 * 60 * 1000;
+  while (station.detectionTimestamps.length > 0 && station.detectionTimestamps[0] < cutoff) {
+    station.detectionTimestamps.shift();
+  }
+}
+
+function getDetectionsLastHour(station) {
+  const now = Date.now();
+  pruneDetections(station, now);
+  return station.detectionTimestamps.length;
+}
+
+function formatCount(count) {
+  if (!count || count <= 0) {
+    return "";
+  }
+  if (count > 9) {
+    return "9+";
+  }
+  return String(count);
+}
+
+function formatOccurrence(occurrence, fallbackCount) {
+  if (typeof occurrence === "number" && !Number.isNaN(occurrence)) {
+    return `${Math.round(occurrence * 100)}%`;
+  }
+  if (typeof fallbackCount === "number" && fallbackCount > 0) {
+    return String(fallbackCount);
+  }
+  return "";
+}
+
+function getCommonality(occurrence, keySettings) {
+  if (typeof occurrence !== "number" || Number.isNaN(occurrence)) {
+    return { label: "Unknown", color: "#9ca3af", shape: "hex" };
+  }
+
+  const epic = Number.isFinite(Number(keySettings.epicOccurrenceThreshold))
+    ? Number(keySettings.epicOccurrenceThreshold)
+    : KEY_DEFAULTS.epicOccurrenceThreshold;
+  const rare = Number.isFinite(Number(keySettings.rareOccurrenceThreshold))
+    ? Number(keySettings.rareOccurrenceThreshold)
+    : KEY_DEFAULTS.rareOccurrenceThreshold;
+  const uncommon = Number.isFinite(Number(keySettings.uncommonOccurrenceThreshold))
+    ? Number(keySettings.uncommonOccurrenceThreshold)
+    : KEY_DEFAULTS.uncommonOccurrenceThreshold;
+
+  const epicCutoff = Math.max(0, Math.min(1, epic));
+  const rareCutoff = Math.max(epicCutoff, Math.min(1, rare));
+  const uncommonCutoff = Math.max(rareCutoff, Math.min(1, uncommon));
+
+  if (occurrence <= epicCutoff) {
+    return { label: "Epic", color: "#7c3aed", shape: "star" };
+  }
+  if (occurrence <= rareCutoff) {
+    return { label: "Rare", color: "#f59e0b", shape: "diamond" };
+  }
+  if (occurrence <= uncommonCutoff) {
+    return { label: "Uncommon", color: "#38bdf8", shape: "square" };
+  }
+  return { label: "Common", color: "#22c55e", shape: "circle" };
+}
+
+// Each species keeps one record per day; `isNew` is false for a replayed retained message so it is not counted twice.
+function updateDailyBirds(station, detection, isNew) {
+  const dateKey = getDayKey(detection.detectedAt || Date.now());
+  // A late detection from an earlier day only belongs in the history.
+  if (dateKey !== getDayKey()) {
+    return;
+  }
+  if (!station.dailyBirds.has(dateKey)) {
+    station.dailyBirds.set(dateKey, new Map());
+  }
+  const dayMap = station.dailyBirds.get(dateKey);
+  const key = detection.name;
+  if (!key) {
+    return;
+  }
+  const existing = dayMap.get(key) || {};
+  const now = Date.now();
+  const occurrence = typeof detection.occurrence === "number" ? detection.occurrence : existing.occurrence;
+  const confidence = typeof detection.confidence === "number" ? detection.confidence : existing.confidence;
+  const record = {
+    name: detection.name,
+    scientificName: detection.scientificName || existing.scientificName || null,
+    speciesCode: detection.speciesCode || existing.speciesCode || null,
+    keyNames: detection.keyNames || existing.keyNames || null,
+    occurrence: typeof occurrence === "number" ? Math.min(occurrence, existing.occurrence ?? occurrence) : occurrence,
+    confidence,
+    maxConfidence: typeof confidence === "number" ? Math.max(confidence, existing.maxConfidence ?? confidence) : existing.maxConfidence ?? null,
+    count: (existing.count || 0) + (isNew || !existing.count ? 1 : 0),
+    firstSeen: existing.firstSeen || now,
+    lastSeen: isNew || !existing.lastSeen ? now : existing.lastSeen,
+    json: detection.json || existing.json || null
+  };
+  dayMap.set(key, record);
+  pruneOldDays(station, dateKey);
+  scheduleCacheSave();
+}
+
+function pruneOldDays(station, todayKey) {
+  for (const key of Array.from(station.dailyBirds.keys())) {
+    if (key !== todayKey) {
+      station.dailyBirds.delete(key);
+    }
+  }
+}
+
+// Today's species, rarest first, or in the key's order and limited to its minimum tier when keySettings is given.
+function getTodayBirds(station, keySettings) {
+  let birds = getWindowBirds(station, keySettings);
+  if (!keySettings) {
+    return birds.sort(TODAY_SORTS.rarest);
+  }
+  const minTier = MIN_TIERS[keySettings.todayMinTier];
+  if (minTier) {
+    birds = birds.filter((bird) => {
+      const label = getCommonality(bird.occurrence, keySettings).label;
+      return label !== "Unknown" && TIER_RANK[label] >= TIER_RANK[minTier];
+    });
+  }
+  return birds.sort(TODAY_SORTS[keySettings.todaySort] || TODAY_SORTS.rarest);
+}
+
+// The calendar day's species, or those of the key's sun window when the station has a location to compute it from.
+function getWindowBirds(station, keySettings) {
+  const span = keySettings ? getSunWindow(station, keySettings.todayWindow, Date.now()) : null;
+  if (span) {
+    return getHistoryBirds(station, span.since, span.until);
+  }
+  const dayMap = station.dailyBirds.get(getDayKey());
+  return dayMap ? Array.from(dayMap.values()) : [];
+}
+
+// "sunrise" runs from the last sunrise until now; "night" from the last dusk until the dawn after it.
+function getSunWindow(station, windowName, now) {
+  const location = windowName === "sunrise" || windowName === "night" ? getStationLocation(station) : null;
+  if (!location) {
+    return null;
+  }
+  if (windowName === "sunrise") {
+    const since = findSunEvent(location, "sunrise", now, -1);
+    return since === null ? null : { since };
+  }
+  const since = findSunEvent(location, "dusk", now, -1);
+  if (since === null) {
+    return null;
+  }
+  const until = findSunEvent(location, "dawn", since, 1);
+  return { since, until: until === null ? undefined : until };
+}
+
+// Species records like the daily map's, built from the history between two timestamps.
+// Detections heard before their species was confirmed are left out, as they are from the daily map.
+function getHistoryBirds(station, since, until) {
+  const birds = new Map();
+  getHistory(station.id, since, until).filter((record) => !record.unconfirmed).forEach((record) => {
+    const bird = birds.get(record.name) || {
+      name: record.name,
+      scientificName: record.scientificName,
+      speciesCode: record.speciesCode || null,
+      keyNames: record.keyNames || null,
+      occurrence: null,
+      confidence: null,
+      maxConfidence: null,
+      count: 0,
+      firstSeen: record.ts,
+      lastSeen: record.ts
+    };
+    bird.count += 1;
+    bird.lastSeen = record.ts;
+    if (typeof record.occurrence === "number") {
+      bird.occurrence = bird.occurrence === null ? record.occurrence : Math.min(bird.occurrence, record.occurrence);
+    }
+    if (typeof record.confidence === "number") {
+      bird.confidence = record.confidence;
+      bird.maxConfidence = Math.max(record.confidence, bird.maxConfidence ?? record.confidence);
+    }
+    birds.set(record.name, bird);
+  });
+  return Array.from(birds.values());
+}
+
+function occurrenceOrOne(bird) {
+  return typeof bird.occurrence === "number" ? bird.occurrence : 1;
+}
+
+function startRotation(context, immediate) {
+  if (!context) {
+    return;
+  }
+  if (!rotationState.has(context)) {
+    rotationState.set(context, { index: 0, timer: null, paused: false, current: null });
+  }
+  const state = rotationState.get(context);
+  if (state.paused && immediate) {
+    return;
+  }
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  if (immediate) {
+    rotateOnce(context);
+  } else {
+    state.timer = setTimeout(() => rotateOnce(context), 50);
+  }
+}
+
+function stopRotation(context) {
+  const state = rotationState.get(context);
+  if (state && state.timer) {
+    clearTimeout(state.timer);
+  }
+  rotationState.delete(context);
+}
+
+function rotateOnce(context) {
+  const state = rotationState.get(context);
+  if (!state) {
+    return;
+  }
+
+  const keySettings = getKeySettings(context);
+  const station = getContextStation(context);
+  const birds = getTodayBirds(station, keySettings);
+  if (!birds.length) {
+    setImageTitle(context, getTodayEmptyView(station, keySettings), "status");
+    state._lastRareHold = false;
+    state.current = null;
+  } else {
+    if (state.index >= birds.length) {
+      state.index = 0;
+    }
+    const bird = birds[state.index];
+    state.index += 1;
+    state.current = bird;
+
+    drawTodayBird(context, bird, state.paused);
+
+    const threshold = Number(keySettings.rareOccurrenceThreshold) || KEY_DEFAULTS.rareOccurrenceThreshold;
+    state._lastRareHold = typeof bird.occurrence === "number" && bird.occurrence <= threshold;
+  }
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  if (state.paused) {
+    return;
+  }
+
+  const seconds = Number(keySettings.rotationSeconds) || KEY_DEFAULTS.rotationSeconds;
+  const holdMultiplier = Number(keySettings.rareHoldMultiplier) || KEY_DEFAULTS.rareHoldMultiplier;
+  const delayMs = Math.max(1, seconds * 1000 * (state._lastRareHold ? holdMultiplier : 1));
+
+  state.timer = setTimeout(() => rotateOnce(context), delayMs);
+}
+
+function getTodayEmptyView(station, keySettings) {
+  const status = getContextStatus(station, ACTION_TODAY, keySettings);
+  // Birds were heard, just none at the key's minimum tier yet.
+  return status.view || { icon: "clock", color: "#9ca3af", lines: [`NO ${String(keySettings.todayMinTier).toUpperCase()}+`, "BIRDS YET"] };
+}
+
+function getTodayGroupId(context) {
+  const keySettings = getKeySettings(context);
+  const name = String(keySettings.todayGroup || "").trim().toLowerCase();
+  if (!name || encoders.has(context)) {
+    return null;
+  }
+  const placement = placements.get(context) || {};
+  return [placement.device || "", getStationConfig(keySettings.stationId).id, name].join("|");
+}
+
+// Visible members of a group in reading order: left to right, then top to bottom.
+function getGroupMembers(groupId) {
+  const members = [];
+  forEachContext(ACTION_TODAY, (context) => {
+    if (getTodayGroupId(context) === groupId) {
+      members.push(context);
+    }
+  });
+  const position = (context) => placements.get(context) || { row: 0, column: 0 };
+  return members.sort((a, b) => position(a).row - position(b).row || position(a).column - position(b).column);
+}
+
+// Draws the group's current page. The first key's settings pick the order, tier filter and timing for the whole group.
+function drawGroupPage(groupId) {
+  const members = getGroupMembers(groupId);
+  const state = groupRotation.get(groupId) || { page: 0, timer: null, paused: false };
+  if (!members.length) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+    }
+    groupRotation.delete(groupId);
+    return;
+  }
+  groupRotation.set(groupId, state);
+  const leaderSettings = getKeySettings(members[0]);
+  const station = getContextStation(members[0]);
+  const birds = getTodayBirds(station, leaderSettings);
+  const pages = Math.max(1, Math.ceil(birds.length / members.length));
+  if (state.page >= pages) {
+    state.page = 0;
+  }
+  state.rareOnPage = false;
+  const threshold = Number(leaderSettings.rareOccurrenceThreshold) || KEY_DEFAULTS.rareOccurrenceThreshold;
+  members.forEach((context, slot) => {
+    if (!birds.length) {
+      setImageTitle(context, getTodayEmptyView(station, getKeySettings(context)), "status");
+      return;
+    }
+    const bird = birds[state.page * members.length + slot];
+    if (!bird) {
+      setImageTitle(context, {}, "empty");
+      return;
+    }
+    if (typeof bird.occurrence === "number" && bird.occurrence <= threshold) {
+      state.rareOnPage = true;
+    }
+    const position = slot === 0 && pages > 1 ? `${state.page + 1}/${pages}` : "";
+    drawTodayBird(context, bird, state.paused, position);
+  });
+  if (!state.timer && !state.paused && pages > 1) {
+    scheduleGroupPage(groupId, leaderSettings);
+  }
+}
+
+function scheduleGroupPage(groupId, leaderSettings) {
+  const state = groupRotation.get(groupId);
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+  const seconds = Number(leaderSettings.rotationSeconds) || KEY_DEFAULTS.rotationSeconds;
+  const holdMultiplier = Number(leaderSettings.rareHoldMultiplier) || KEY_DEFAULTS.rareHoldMultiplier;
+  const delayMs = Math.max(1, seconds * 1000 * (state.rareOnPage ? holdMultiplier : 1));
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    advanceGroupPage(groupId);
+  }, delayMs);
+}
+
+function advanceGroupPage(groupId) {
+  const state = groupRotation.get(groupId);
+  if (!state) {
+    return;
+  }
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  state.page += 1;
+  drawGroupPage(groupId);
+}
+
+function toggleGroupPause(groupId) {
+  const state = groupRotation.get(groupId);
+  if (!state) {
+    return;
+  }
+  state.paused = !state.paused;
+  logLine(`group rotation ${state.paused ? "paused" : "resumed"} group=${groupId}`);
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  drawGroupPage(groupId);
+}
+
+function drawTodayBird(context, bird, paused, position) {
+  const station = getContextStation(context);
+  const keySettings = getKeySettings(context);
+  const status = getContextStatus(station, ACTION_TODAY, keySettings);
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
+  }
+  const display = formatTitle(
+    bird,
+    bird.confidence,
+    getDetectionsLastHour(station),
+    bird.occurrence,
+    keySettings
+  );
+  display.paused = Boolean(paused);
+  display.position = paused ? "" : position || "";
+  display.stale = status.stale;
+  // Today's Birds marks every species that was a first sighting today (or in its sun window), for as long as it rotates.
+  const span = getSunWindow(station, keySettings.todayWindow, Date.now());
+  display.newKind = getNewKind(station, bird.name, keySettings, span ? span.since : getDayStart());
+  setImageTitle(context, display, "today");
+}
+
+function toggleRotationPause(context) {
+  const state = rotationState.get(context);
+  if (!state) {
+    return;
+  }
+  state.paused = !state.paused;
+  logLine(`rotation ${state.paused ? "paused" : "resumed"} context=${context}`);
+  if (state.paused) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    if (state.current) {
+      drawTodayBird(context, state.current, true);
+    }
+    return;
+  }
+  startRotation(context, true);
+}
+
+// Turning a dial scrolls through today's species or the recent detections, a tick at a time.
+function handleDialRotate(context, action, ticks) {
+  if (action === ACTION_TODAY) {
+    stepRotation(context, ticks);
+  } else if (action === ACTION_TEXT || action === ACTION_BORDER || action === ACTION_IMAGE) {
+    cycleRecent(context, action, getKeySettings(context), ticks);
+  }
+}
+
+// Pushing a dial pauses Today's Birds, or returns a detection dial to the newest detection.
+function handleDialPress(context, action) {
+  if (action === ACTION_TODAY) {
+    toggleRotationPause(context);
+  } else if (action === ACTION_TEXT || action === ACTION_BORDER || action === ACTION_IMAGE) {
+    resetBrowse(context);
+    refreshContext(context);
+  }
+}
+
+function stepRotation(context, ticks) {
+  const state = rotationState.get(context);
+  const birds = getTodayBirds(getContextStation(context), getKeySettings(context));
+  if (!state || !birds.length) {
+    return;
+  }
+  const shown = (state.index - 1 + birds.length) % birds.length;
+  state.index = (((shown + ticks) % birds.length) + birds.length) % birds.length;
+  rotateOnce(context);
+}
+
+function resolvePressBehavior(action, value, isLong) {
+  const behaviors = PRESS_BEHAVIORS[action];
+  if (!behaviors) {
+    return "none";
+  }
+  if (behaviors.allowed.includes(value)) {
+    return value;
+  }
+  return isLong ? behaviors.longPress : behaviors.press;
+}
+
+function handleKeyPress(context, action, isLong) {
+  const keySettings = getKeySettings(context);
+  const behavior = resolvePressBehavior(action, isLong ? keySettings.longPressAction : keySettings.pressAction, isLong);
+  logLine(`key ${isLong ? "long" : "short"} press context=${context} behavior=${behavior}`);
+
+  const groupId = action === ACTION_TODAY ? getTodayGroupId(context) : null;
+  if (groupId && (behavior === "next" || behavior === "pause")) {
+    if (behavior === "next") {
+      advanceGroupPage(groupId);
+    } else {
+      toggleGroupPause(groupId);
+    }
+    return;
+  }
+
+  if (behavior === "next") {
+    const state = rotationState.get(context);
+    if (state && state.paused) {
+      rotateOnce(context);
+    } else {
+      startRotation(context, true);
+    }
+  } else if (behavior === "pause") {
+    toggleRotationPause(context);
+  } else if (behavior === "cycle") {
+    cycleRecent(context, action, keySettings);
+  } else if (behavior === "latest") {
+    resetBrowse(context);
+    recentOffsets.delete(context);
+    refreshContext(context);
+  } else if (behavior === "acknowledge") {
+    acknowledgeWatchAlert(context);
+  } else if (behavior === "window") {
+    cycleActivityWindow(context);
+  } else if (behavior === "metric") {
+    cycleStatsMetric(context);
+  } else if (behavior === "event") {
+    cycleSunEvent(context);
+  } else if (behavior === "credit") {
+    showImageCredit(context);
+  } else if (behavior === "older") {
+    stepRecent(context, 1);
+  } else if (behavior === "newer") {
+    stepRecent(context, -1);
+  }
+}
+
+function drawActivity(context) {
+  startTickTimer(context, () => drawActivity(context), ACTIVITY_REFRESH_MS);
+  const station = getContextStation(context);
+  const status = getContextStatus(station, ACTION_ACTIVITY);
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
+  }
+  const display = getActivityData(station, getKeySettings(context), Date.now());
+  display.stale = status.stale;
+  setImageTitle(context, display, "activity");
+}
+
+function startTickTimer(context, draw, intervalMs) {
+  if (!tickTimers.has(context)) {
+    tickTimers.set(context, setInterval(draw, intervalMs));
+  }
+}
 
-    if (lines.length === maxLines) {
-      break;
-    }
+function stopTickTimer(context) {
+  const timer = tickTimers.get(context);
+  if (timer) {
+    clearInterval(timer);
   }
+  tickTimers.delete(context);
+}
 
-  if (lines.length < maxLines && current) {
-    lines.push(current);
+// Buckets detections for the key's window, plus the latest bucket and the baseline average to compare it with.
+function getActivityData(station, keySettings, now) {
+  const windowName = ACTIVITY_WINDOWS[keySettings.activityWindow] ? keySettings.activityWindow : KEY_DEFAULTS.activityWindow;
+  const config = ACTIVITY_WINDOWS[windowName];
+  const style = keySettings.activityStyle === "line" ? "line" : "bars";
+  const bucketize = (start, buckets) => {
+    const counts = new Array(buckets).fill(0);
+    getHistory(station.id, start, start + buckets * config.bucketMs).forEach((record) => {
+      counts[Math.floor((record.ts - start) / config.bucketMs)] += 1;
+    });
+    return counts;
+  };
+
+  // Windows end just after now so a detection recorded this millisecond is included.
+  const end = now + 1;
+  if (windowName !== "dawn") {
+    const counts = bucketize(end - config.buckets * config.bucketMs, config.buckets);
+    const baselineBuckets = config.baselineMs / config.bucketMs;
+    const average = getHistory(station.id, end - config.baselineMs, end).length / baselineBuckets;
+    return { label: config.label, style, counts, current: counts[counts.length - 1], average };
   }
 
-  if (lines.length > maxLines) {
-    return lines.slice(0, maxLines);
+  const span = getDawnSpan(keySettings, now);
+  const buckets = Math.max(1, Math.round((span.end - span.start) / config.bucketMs));
+  const counts = bucketize(span.start, buckets);
+  const dayMs = 24 * 60 * 60 * 1000;
+  let total = 0;
+  for (let day = 1; day <= config.baselineDays; day += 1) {
+    total += getHistory(station.id, span.start - day * dayMs, span.end - day * dayMs).length;
   }
+  const average = total / (config.baselineDays * buckets);
+  const current = now < span.end
+    ? getHistory(station.id, end - config.bucketMs, end).length
+    : counts[counts.length - 1];
+  return { label: config.label, style, counts, current, average };
+}
 
-  if (lines.length === maxLines && words.length > 0) {
-    const allText = lines.join(" ");
-    if (allText.length < text.length) {
-      lines[maxLines - 1] = truncateToFit(lines[maxLines - 1], maxLen);
+// Today's dawn window, or yesterday's until today's begins.
+function getDawnSpan(keySettings, now) {
+  const startHour = Math.max(0, Math.min(23, Number(keySettings.dawnStartHour) || 0));
+  const endHour = Math.max(startHour + 1, Math.min(24, Number(keySettings.dawnEndHour) || KEY_DEFAULTS.dawnEndHour));
+  const parts = getZoneParts(now);
+  let start = getZoneTime(parts.year, parts.month, parts.day, startHour);
+  if (start > now) {
+    const previous = getZoneParts(now - 24 * 60 * 60 * 1000);
+    start = getZoneTime(previous.year, previous.month, previous.day, startHour);
+  }
+  return { start, end: start + (endHour - startHour) * 60 * 60 * 1000 };
+}
+
+function cycleActivityWindow(context) {
+  const keySettings = getKeySettings(context);
+  const index = ACTIVITY_WINDOW_ORDER.indexOf(keySettings.activityWindow);
+  const next = ACTIVITY_WINDOW_ORDER[(index + 1) % ACTIVITY_WINDOW_ORDER.length];
+  contextSettings.set(context, { ...(contextSettings.get(context) || {}), activityWindow: next });
+  saveSettings(context);
+  drawActivity(context);
+}
+
+function drawStats(context) {
+  startTickTimer(context, () => drawStats(context), STATS_REFRESH_MS);
+  const station = getContextStation(context);
+  const status = getContextStatus(station, ACTION_STATS);
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
+  }
+  const keySettings = getKeySettings(context);
+  const metric = STATS_METRIC_ORDER.includes(keySettings.statsMetric) ? keySettings.statsMetric : KEY_DEFAULTS.statsMetric;
+  const now = Date.now();
+  // Both sides are counted from the history over matching windows, so two identical days compare equal.
+  let start = getDayStart(now);
+  let previous = getDayStart(start - 1);
+  if (metric === "sunrise") {
+    // The dawn chorus: species since this morning's sunrise, against yesterday's sunrise plus the same time.
+    const location = getStationLocation(station);
+    const sunrise = location ? findSunEvent(location, "sunrise", now, -1) : null;
+    if (sunrise === null) {
+      setImageTitle(context, getSunMissingView(location, "sunrise"), "status");
+      return;
     }
+    start = sunrise;
+    previous = findSunEvent(location, "sunrise", sunrise - 1, -1);
   }
+  const today = summarizeDay(getHistoryBirds(station, start), keySettings);
+  const yesterday = previous === null ? null : summarizePrevious(station, keySettings, previous, now - start);
+  const labels = { species: "SPECIES", detections: "DETECTIONS", rare: "RARE + EPIC", sunrise: "SINCE SUNRISE" };
+  const field = metric === "sunrise" ? "species" : metric;
+  const display = {
+    label: labels[metric],
+    value: today[field],
+    delta: yesterday ? today[field] - yesterday[field] : null,
+    tiers: metric === "rare" ? {
+      rare: { count: today.tiers.Rare, commonality: getCommonality(Number(keySettings.rareOccurrenceThreshold), keySettings) },
+      epic: { count: today.tiers.Epic, commonality: getCommonality(0, keySettings) }
+    } : null,
+    stale: status.stale
+  };
+  setImageTitle(context, display, "stats");
+}
 
-  return lines;
+// Species, detection and rare/epic totals for one day's species records.
+function summarizeDay(birds, keySettings) {
+  const tiers = { Rare: 0, Epic: 0 };
+  let detections = 0;
+  birds.forEach((bird) => {
+    detections += bird.count || 1;
+    const label = getCommonality(bird.occurrence, keySettings).label;
+    if (tiers[label] !== undefined) {
+      tiers[label] += 1;
+    }
+  });
+  return { species: birds.length, detections, rare: tiers.Rare + tiers.Epic, tiers };
 }
 
-function escapeXml(text) {
-  return String(text)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
+// The same totals for the window that began at start and ran for elapsed; null when the history does not reach back that far.
+function summarizePrevious(station, keySettings, start, elapsed) {
+  const records = history.get(station.id) || [];
+  if (!records.length || records[0].ts >= start) {
+    return null;
+  }
+  return summarizeDay(getHistoryBirds(station, start, start + elapsed + 1), keySettings);
 }
 
-function confidenceColor(confidence) {
-  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
-    return "#666666";
+function cycleStatsMetric(context) {
+  const keySettings = getKeySettings(context);
+  // The sunrise count needs the station's location, so pressing skips it until one is set.
+  const order = getStationLocation(getContextStation(context)) ? STATS_METRIC_ORDER : STATS_METRIC_ORDER.filter((metric) => metric !== "sunrise");
+  const index = order.indexOf(keySettings.statsMetric);
+  const next = order[(index + 1) % order.length];
+  contextSettings.set(context, { ...(contextSettings.get(context) || {}), statsMetric: next });
+  saveSettings(context);
+  drawStats(context);
+}
+
+function drawSun(context) {
+  startTickTimer(context, () => drawSun(context), SUN_REFRESH_MS);
+  const keySettings = getKeySettings(context);
+  const event = SUN_EVENTS[keySettings.sunEvent] ? keySettings.sunEvent : KEY_DEFAULTS.sunEvent;
+  const location = getStationLocation(getContextStation(context));
+  const now = Date.now();
+  const next = location ? findSunEvent(location, event, now, 1, SUN_SEARCH_DAYS) : null;
+  if (next === null) {
+    setImageTitle(context, getSunMissingView(location, event), "status");
+    return;
   }
-  const clamped = Math.max(0, Math.min(1, confidence));
-  const hue = clamped * 120; // 0 = red, 120 = green
-  return hslToHex(hue, 85, 45);
+  setImageTitle(context, {
+    label: SUN_EVENTS[event].label,
+    countdown: formatCountdown(next - now),
+    time: formatClock(next, now),
+    color: SUN_EVENTS[event].color
+  }, "sun");
 }
 
-function hslToHex(h, s, l) {
-  const sat = s / 100;
-  const light = l / 100;
-  const c = (1 - Math.abs(2 * light - 1)) * sat;
-  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-  const m = light - c / 2;
-  let r = 0;
-  let g = 0;
-  let b = 0;
-  if (h < 60) {
-    r = c; g = x; b = 0;
-  } else if (h < 120) {
-    r = x; g = c; b = 0;
-  } else if (h < 180) {
-    r = 0; g = c; b = x;
-  } else if (h < 240) {
-    r = 0; g = x; b = c;
-  } else if (h < 300) {
-    r = x; g = 0; b = c;
-  } else {
-    r = c; g = 0; b = x;
+// Shown until the station has coordinates, or when the sun does not reach the event's altitude.
+function getSunMissingView(location, event) {
+  if (!location) {
+    return { icon: "sun", color: "#9ca3af", lines: ["SET STATION", "LOCATION"] };
   }
-  const toHex = (n) => Math.round((n + m) * 255).toString(16).padStart(2, "0");
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+  return { icon: "sun", color: SUN_EVENTS[event].color, lines: [`NO ${SUN_EVENTS[event].label}`, "TODAY"] };
 }
 
-function shadeColor(hex, percent) {
-  const clean = hex.replace("#", "");
-  const num = parseInt(clean, 16);
-  const amt = Math.round(2.55 * percent);
-  const r = Math.max(0, Math.min(255, (num >> 16) + amt));
-  const g = Math.max(0, Math.min(255, ((num >> 8) & 0x00ff) + amt));
-  const b = Math.max(0, Math.min(255, (num & 0x0000ff) + amt));
-  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+function cycleSunEvent(context) {
+  const keySettings = getKeySettings(context);
+  const index = SUN_EVENT_ORDER.indexOf(keySettings.sunEvent);
+  const next = SUN_EVENT_ORDER[(index + 1) % SUN_EVENT_ORDER.length];
+  contextSettings.set(context, { ...(contextSettings.get(context) || {}), sunEvent: next });
+  saveSettings(context);
+  drawSun(context);
 }
 
-function confidenceBackgroundAlpha(confidence) {
-  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
-    return 0;
+// Rounded up, so the key reads "1m" until the minute the event happens.
+function formatCountdown(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes >= 48 * 60) {
+    return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
   }
-  const clamped = Math.max(0, Math.min(1, confidence));
-  return 0.06 + clamped * 0.12;
+  if (minutes >= 60) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
 }
 
-function confidenceMeterAlpha(confidence) {
-  if (typeof confidence !== "number" || Number.isNaN(confidence)) {
-    return 0.12;
+// HH:MM in the configured time zone, with the date when it is not within the next day.
+function formatClock(ts, now) {
+  const parts = getZoneParts(ts);
+  const clock = `${String(parts.hour).padStart(2, "0")}:${String(parts.minute).padStart(2, "0")}`;
+  if (ts - now < DAY_MS) {
+    return clock;
   }
-  const clamped = Math.max(0, Math.min(1, confidence));
-  return 0.18 + clamped * 0.35;
+  const month = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][parts.month - 1];
+  return `${month} ${parts.day} ${clock}`;
 }
 
-function recordDetection() {
-  const now = Date.now();
-  detectionTimestamps.push(now);
-  pruneDetections(now);
+function parseWatchlist(value) {
+  return String(value || "")
+    .split(/[,;\n]/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
 }
 
-function pruneDetections(now) {
-  const cutoff = now - 60 * 60 * 1000;
-  while (detectionTimestamps.length > 0 && detectionTimestamps[0] < cutoff) {
-    detectionTimestamps.shift();
-  }
+function isWatched(detection, keySettings) {
+  const names = [detection.name, detection.scientificName, getDisplayName(detection, keySettings)]
+    .filter(Boolean)
+    .map((name) => String(name).trim().toLowerCase());
+  return parseWatchlist(keySettings.watchlist).some((entry) => names.includes(entry));
 }
 
-function getDetectionsLastHour() {
-  const now = Date.now();
-  pruneDetections(now);
-  return detectionTimestamps.length;
+function checkWatchlists(station, detection) {
+  watchKeys.forEach((keySettings, context) => {
+    if (getStationConfig(keySettings.stationId).id !== station.id || !isWatched(detection, keySettings)) {
+      return;
+    }
+    logLine(`watchlist alert context=${context} species=${detection.name}`);
+    clearWatchTimer(context);
+    watchAlerts.set(context, { detection, stationId: station.id, heardAt: detection.detectedAt || Date.now(), flashOn: true });
+    saveWatchAlert(context);
+    if (contexts.has(context)) {
+      drawWatchKey(context);
+    }
+  });
 }
 
-function formatCount(count) {
-  if (!count || count <= 0) {
-    return "";
+// A key's pending alert lives in its settings so a restart of the plugin or the Stream Deck app keeps it.
+function saveWatchAlert(context) {
+  const alert = watchAlerts.get(context);
+  const saved = alert ? {
+    detection: {
+      name: alert.detection.name,
+      scientificName: alert.detection.scientificName || null,
+      speciesCode: alert.detection.speciesCode || null,
+      confidence: typeof alert.detection.confidence === "number" ? alert.detection.confidence : null,
+      occurrence: typeof alert.detection.occurrence === "number" ? alert.detection.occurrence : null
+    },
+    stationId: alert.stationId,
+    heardAt: alert.heardAt
+  } : null;
+  // A key on another page has no contextSettings, only the copy kept in watchKeys.
+  const keySettings = { ...(watchKeys.get(context) || getKeySettings(context)), watchAlert: saved };
+  watchKeys.set(context, keySettings);
+  if (contextSettings.has(context)) {
+    contextSettings.set(context, { ...contextSettings.get(context), watchAlert: saved });
   }
-  if (count > 9) {
-    return "9+";
+  if (websocket) {
+    websocket.send(JSON.stringify({ event: "setSettings", context, payload: keySettings }));
   }
-  return String(count);
 }
 
-function formatOccurrence(occurrence, fallbackCount) {
-  if (typeof occurrence === "number" && !Number.isNaN(occurrence)) {
-    return `${Math.round(occurrence * 100)}%`;
+// Picks up the alert saved before a restart, and drops one the key's new settings no longer watch for.
+function restoreWatchAlert(context, keySettings) {
+  // Keys appear before the global settings arrive, when the key's station can't be told yet.
+  const stationId = globalSettingsLoaded ? getStationConfig(keySettings.stationId).id : null;
+  const alert = watchAlerts.get(context);
+  if (alert) {
+    if (!isWatched(alert.detection, keySettings) || (stationId && alert.stationId !== stationId)) {
+      clearWatchTimer(context);
+      watchAlerts.delete(context);
+      saveWatchAlert(context);
+    }
+    return;
   }
-  if (typeof fallbackCount === "number" && fallbackCount > 0) {
-    return String(fallbackCount);
+  const saved = keySettings.watchAlert;
+  if (saved && saved.detection && saved.detection.name && isWatched(saved.detection, keySettings)
+    && (!stationId || saved.stationId === stationId)) {
+    watchAlerts.set(context, { detection: saved.detection, stationId: saved.stationId, heardAt: Number(saved.heardAt) || Date.now(), flashOn: true });
   }
-  return "";
 }
 
-function getCommonality(occurrence) {
-  if (typeof occurrence !== "number" || Number.isNaN(occurrence)) {
-    return { label: "Unknown", color: "#9ca3af", shape: "hex" };
+// The SDK sends the same willDisappear for a deleted key as for a page change, so keys left behind
+// are only dropped once they can no longer match: their station was removed.
+function pruneWatchKeys() {
+  watchKeys.forEach((keySettings, context) => {
+    const removed = keySettings.stationId && !globalSettings.stations.some((station) => station.id === keySettings.stationId);
+    if (removed && !contexts.has(context)) {
+      logLine(`watchlist dropped context=${context} station=${keySettings.stationId}`);
+      clearWatchTimer(context);
+      watchKeys.delete(context);
+      watchAlerts.delete(context);
+      return;
+    }
+    restoreWatchAlert(context, keySettings);
+  });
+}
+
+function drawWatchKey(context) {
+  clearWatchTimer(context);
+  const keySettings = getKeySettings(context);
+  const alert = watchAlerts.get(context);
+  if (!alert) {
+    // An idle key has no detection to fall back on, so any connection problem shows as-is.
+    const { state, detail } = getContextStation(context).status;
+    const count = parseWatchlist(keySettings.watchlist).length;
+    const view = state !== "connected" ? getStatusView(state, detail) : {
+      icon: "eye",
+      color: "#a3a3a3",
+      lines: count ? ["WATCHING", `${count} SPECIES`] : ["NO", "WATCHLIST"]
+    };
+    setImageTitle(context, view, "status");
+    return;
   }
+  const flashing = keySettings.watchAlertMode === "flash";
+  const display = formatTitle(
+    alert.detection,
+    alert.detection.confidence,
+    null,
+    alert.detection.occurrence,
+    keySettings
+  );
+  display.ago = formatAgo(Date.now() - alert.heardAt);
+  display.flashOn = flashing && alert.flashOn;
+  setImageTitle(context, display, "watch");
+  alert.flashOn = !alert.flashOn;
+  alert.timer = setTimeout(() => drawWatchKey(context), flashing ? WATCH_FLASH_MS : AGO_REFRESH_MS);
+}
 
-  const epic = Number.isFinite(Number(settings.epicOccurrenceThreshold))
-    ? Number(settings.epicOccurrenceThreshold)
-    : DEFAULTS.epicOccurrenceThreshold;
-  const rare = Number.isFinite(Number(settings.rareOccurrenceThreshold))
-    ? Number(settings.rareOccurrenceThreshold)
-    : DEFAULTS.rareOccurrenceThreshold;
-  const uncommon = Number.isFinite(Number(settings.uncommonOccurrenceThreshold))
-    ? Number(settings.uncommonOccurrenceThreshold)
-    : DEFAULTS.uncommonOccurrenceThreshold;
+function clearWatchTimer(context) {
+  const alert = watchAlerts.get(context);
+  if (alert && alert.timer) {
+    clearTimeout(alert.timer);
+    alert.timer = null;
+  }
+}
 
-  const epicCutoff = Math.max(0, Math.min(1, epic));
-  const rareCutoff = Math.max(epicCutoff, Math.min(1, rare));
-  const uncommonCutoff = Math.max(rareCutoff, Math.min(1, uncommon));
+function acknowledgeWatchAlert(context) {
+  if (!watchAlerts.has(context)) {
+    return;
+  }
+  clearWatchTimer(context);
+  watchAlerts.delete(context);
+  saveWatchAlert(context);
+  logLine(`watchlist acknowledged context=${context}`);
+  drawWatchKey(context);
+}
 
-  if (occurrence <= epicCutoff) {
-    return { label: "Epic", color: "#7c3aed", shape: "star" };
+function formatAgo(ms) {
+  const minutes = Math.floor(Math.max(0, ms) / 60000);
+  if (minutes < 1) {
+    return "just now";
   }
-  if (occurrence <= rareCutoff) {
-    return { label: "Rare", color: "#f59e0b", shape: "diamond" };
+  if (minutes < 60) {
+    return `${minutes}m ago`;
   }
-  if (occurrence <= uncommonCutoff) {
-    return { label: "Uncommon", color: "#38bdf8", shape: "square" };
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}h ago`;
   }
-  return { label: "Common", color: "#22c55e", shape: "circle" };
+  return `${Math.floor(hours / 24)}d ago`;
 }
 
-function updateDailyBirds(detection) {
-  const dateKey = detection.detectionDate || new Date().toISOString().slice(0, 10);
-  if (!dailyBirds.has(dateKey)) {
-    dailyBirds.set(dateKey, new Map());
+// Newest first; a retained detection missed while offline slots in by the time it was heard.
+function recordRecent(station, detection) {
+  const record = { ...detection, heardAt: detection.detectedAt || Date.now() };
+  const recent = station.recentDetections;
+  let index = 0;
+  while (index < recent.length && recent[index].heardAt > record.heardAt) {
+    index += 1;
   }
-  const dayMap = dailyBirds.get(dateKey);
-  const key = detection.name;
-  if (!key) {
-    return;
+  recent.splice(index, 0, record);
+  if (recent.length > MAX_RECENT) {
+    recent.length = MAX_RECENT;
   }
-  const existing = dayMap.get(key) || {};
-  const occurrence = typeof detection.occurrence === "number" ? detection.occurrence : existing.occurrence;
-  const confidence = typeof detection.confidence === "number" ? detection.confidence : existing.confidence;
-  const record = {
-    name: detection.name,
-    occurrence: typeof occurrence === "number" ? Math.min(occurrence, existing.occurrence ?? occurrence) : occurrence,
-    confidence,
-    lastSeen: Date.now()
-  };
-  dayMap.set(key, record);
-  pruneOldDays(dateKey);
   scheduleCacheSave();
 }
 
-function pruneOldDays(todayKey) {
-  for (const key of dailyBirds.keys()) {
-    if (key !== todayKey) {
-      dailyBirds.delete(key);
-    }
+function drawRecent(context) {
+  startTickTimer(context, () => drawRecent(context), AGO_REFRESH_MS);
+  const station = getContextStation(context);
+  const status = getContextStatus(station, ACTION_RECENT);
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
   }
+  const recent = station.recentDetections;
+  const offset = Math.min(recentOffsets.get(context) || 0, recent.length - 1);
+  const detection = recent[offset];
+  const keySettings = getKeySettings(context);
+  const display = formatTitle(detection, detection.confidence, null, detection.occurrence, keySettings);
+  display.ago = formatAgo(Date.now() - detection.heardAt);
+  display.position = `${offset + 1}/${recent.length}`;
+  display.stale = status.stale;
+  setImageTitle(context, display, "recent");
 }
 
-function getTodayBirds() {
-  const todayKey = new Date().toISOString().slice(0, 10);
-  const dayMap = dailyBirds.get(todayKey);
-  if (!dayMap) {
-    return [];
+function stepRecent(context, step) {
+  const count = getContextStation(context).recentDetections.length;
+  if (!count) {
+    return;
   }
-  return Array.from(dayMap.values()).sort((a, b) => {
-    const occA = typeof a.occurrence === "number" ? a.occurrence : 1;
-    const occB = typeof b.occurrence === "number" ? b.occurrence : 1;
-    return occA - occB;
-  });
+  const offset = Math.max(0, Math.min(count - 1, (recentOffsets.get(context) || 0) + step));
+  if (offset) {
+    recentOffsets.set(context, offset);
+  } else {
+    recentOffsets.delete(context);
+  }
+  drawRecent(context);
 }
 
-function startRotation(context, immediate) {
-  if (!context) {
+function cycleRecent(context, action, keySettings, step) {
+  const limit = Math.max(1, Math.min(MAX_RECENT, Number(keySettings.recentCount) || KEY_DEFAULTS.recentCount));
+  const station = getContextStation(context);
+  const candidates = station.recentDetections.slice(0, limit);
+  if (!candidates.length) {
     return;
   }
-  if (!rotationState.has(context)) {
-    rotationState.set(context, { index: 0, timer: null });
-  }
-  const state = rotationState.get(context);
+
+  const state = browseState.get(context) || { offset: 0, timer: null };
+  state.offset = (((state.offset + (step || 1)) % candidates.length) + candidates.length) % candidates.length;
   if (state.timer) {
     clearTimeout(state.timer);
-    state.timer = null;
-  }
-  if (immediate) {
-    rotateOnce(context);
-  } else {
-    state.timer = setTimeout(() => rotateOnce(context), 50);
   }
+  state.timer = setTimeout(() => {
+    resetBrowse(context);
+    refreshContext(context);
+  }, BROWSE_RESET_MS);
+  browseState.set(context, state);
+
+  const position = state.offset === 0 ? "" : `${state.offset + 1}/${candidates.length}`;
+  showDetection(context, action, candidates[state.offset], position);
 }
 
-function stopRotation(context) {
-  const state = rotationState.get(context);
+function resetBrowse(context) {
+  const state = browseState.get(context);
   if (state && state.timer) {
     clearTimeout(state.timer);
   }
-  rotationState.delete(context);
+  browseState.delete(context);
 }
 
-function rotateOnce(context) {
-  const state = rotationState.get(context);
-  if (!state) {
+function showDetection(context, action, detection, position) {
+  if (!context || !detection) {
     return;
   }
+  const status = getContextStatus(getContextStation(context), action);
+  if (action === ACTION_IMAGE) {
+    imageTargets.set(context, detection);
+  }
+  if (status.view) {
+    setImageTitle(context, status.view, "status");
+    return;
+  }
+  if (action !== ACTION_TEXT && action !== ACTION_BORDER && action !== ACTION_IMAGE) {
+    return;
+  }
+  // Image keys without a picture to show fall back to the circle tile.
+  if (action === ACTION_IMAGE && !encoders.has(context) && detection.imageUrl) {
+    drawImageTile(context, detection);
+    return;
+  }
+  drawDetectionTile(context, action, detection, position, status.stale);
+}
 
-  const birds = getTodayBirds();
-  if (!birds.length) {
-    setTitle(context, "Waiting\n...");
-    state._lastRareHold = false;
-  } else {
-    if (state.index >= birds.length) {
-      state.index = 0;
-    }
-    const bird = birds[state.index];
-    state.index += 1;
-
-    const display = formatTitle(bird.name, bird.confidence, getDetectionsLastHour(), bird.occurrence);
-    setImageTitle(context, display, "today");
+function drawDetectionTile(context, action, detection, position, stale) {
+  const keySettings = getKeySettings(context);
+  const display = formatTitle(
+    detection,
+    detection.confidence,
+    getDetectionsLastHour(getContextStation(context)),
+    detection.occurrence,
+    keySettings
+  );
+  display.position = position || "";
+  display.stale = stale;
+  display.newKind = getHeldNewKind(context, getContextStation(context), detection.name);
+  display.imageUrl = action === ACTION_IMAGE ? detection.imageUrl : null;
+  setImageTitle(context, display, action === ACTION_BORDER ? "border" : "text");
+}
 
-    const threshold = Number(settings.rareOccurrenceThreshold) || DEFAULTS.rareOccurrenceThreshold;
-    state._lastRareHold = typeof bird.occurrence === "number" && bird.occurrence <= threshold;
+function saveSettings(context) {
+  if (!websocket || !context) {
+    logLine("saveSettings skipped (no websocket/context)");
+    return;
   }
 
-  const seconds = Number(settings.rotationSeconds) || DEFAULTS.rotationSeconds;
-  const holdMultiplier = Number(settings.rareHoldMultiplier) || DEFAULTS.rareHoldMultiplier;
-  const delayMs = Math.max(1, seconds * 1000 * (state._lastRareHold ? holdMultiplier : 1));
+  const keySettings = getKeySettings(context);
+  websocket.send(JSON.stringify({
+    event: "setSettings",
+    context: context,
+    payload: keySettings
+  }));
+  logLine(`setSettings sent ${JSON.stringify(keySettings)}`);
+}
 
-  if (state.timer) {
-    clearTimeout(state.timer);
+function sendToPropertyInspector(context) {
+  if (!websocket || !context) {
+    return;
   }
-  state.timer = setTimeout(() => rotateOnce(context), delayMs);
+
+  websocket.send(JSON.stringify({
+    event: "sendToPropertyInspector",
+    context: context,
+    payload: {
+      settings: { ...globalSettings, ...getKeySettings(context) }
+    }
+  }));
 }
 
-function saveSettings() {
-  if (!websocket || !actionContext) {
-    logLine("saveSettings skipped (no websocket/context)");
+// The inspector lists the built-in profiles next to the user's own, and copies them as a starting point.
+function sendPayloadProfiles(context) {
+  if (!websocket || !context) {
     return;
   }
-
   websocket.send(JSON.stringify({
-    event: "setSettings",
-    context: actionContext,
-    payload: settings
+    event: "sendToPropertyInspector",
+    context: context,
+    payload: {
+      payloadProfiles: PAYLOAD_PROFILES
+    }
   }));
-  logLine(`setSettings sent ${JSON.stringify(settings)}`);
 }
 
-function sendToPropertyInspector() {
-  if (!websocket || !actionContext) {
+// Reads a sample pasted into the inspector with the profile being edited, and reports where each value came from.
+function sendPayloadPreview(context, request) {
+  if (!websocket || !context) {
     return;
   }
+  const profile = getPayloadProfile(request.profileId, request.profiles);
+  let json = null;
+  try {
+    json = JSON.parse(String(request.text || ""));
+  } catch (err) {
+    // a plain text payload is used as the name
+  }
+  const preview = { json: Boolean(json && typeof json === "object"), profile: profile.name, fields: [] };
+  if (preview.json) {
+    const { values, paths } = mapPayload(json, profile);
+    preview.fields = PAYLOAD_FIELDS.map((field) => ({ field, path: paths[field] || "", value: formatPreviewValue(field, values[field]) }));
+  }
+  websocket.send(JSON.stringify({
+    event: "sendToPropertyInspector",
+    context: context,
+    payload: {
+      payloadPreview: preview
+    }
+  }));
+}
+
+function formatPreviewValue(field, value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (field === "confidence") {
+    return `${Math.round(value * 1000) / 10}%`;
+  }
+  if (field === "timestamp") {
+    const parts = getZoneParts(value);
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+  }
+  return String(value);
+}
 
+function sendImageCredit(context) {
+  if (!websocket || !context || contexts.get(context) !== ACTION_IMAGE) {
+    return;
+  }
+  const detection = imageTargets.get(context) || getContextStation(context).latestDetection;
+  const imageUrl = detection ? detection.imageUrl : null;
   websocket.send(JSON.stringify({
     event: "sendToPropertyInspector",
-    context: actionContext,
+    context: context,
     payload: {
-      settings: { ...globalSettings, ...settings }
+      imageCredit: { imageUrl, ...(getImageCredit(imageUrl, detection && detection.imageCredit) || {}) }
     }
   }));
 }
 
+// Shows who took the photo on the key for a few seconds, then goes back to the photo.
+function showImageCredit(context) {
+  const detection = imageTargets.get(context);
+  if (!detection || !detection.imageUrl) {
+    return;
+  }
+  const credit = getImageCredit(detection.imageUrl, detection.imageCredit);
+  const lines = credit
+    ? [credit.author ? `© ${credit.author}` : "", credit.license, credit.source].filter(Boolean)
+    : ["No credit", "for this photo"];
+  if (encoders.has(context)) {
+    setFeedback(context, { name: lines[0] || "", detail: lines.slice(1).join(" · ") });
+  } else {
+    const dataUri = getCachedImage(detection.imageUrl, IMAGE_KEY_SIZE);
+    setImage(context, svgDataUri(renderSvgCredit(dataUri, lines)));
+  }
+  clearCreditTimer(context);
+  creditTimers.set(context, setTimeout(() => {
+    creditTimers.delete(context);
+    showDetection(context, ACTION_IMAGE, imageTargets.get(context) || detection, "");
+  }, CREDIT_SHOW_MS));
+}
+
+function clearCreditTimer(context) {
+  const timer = creditTimers.get(context);
+  if (timer) {
+    clearTimeout(timer);
+  }
+  creditTimers.delete(context);
+}
+
 global.connectElgatoStreamDeckSocket = connectElgatoStreamDeckSocket;
 module.exports = {
   connectElgatoStreamDeckSocket
@@ -1,6 +1,20 @@
 /* global WebSocket */
 
-const DEFAULTS = {
+const GLOBAL_DEFAULTS = {
+  stations: [],
+  debugLogging: false,
+  historyRetentionDays: 90,
+  historyMaxDetections: 20000,
+  imageCacheMegabytes: 50,
+  timeZone: "",
+  dayStartHour: 0,
+  payloadProfiles: [],
+  nameTranslations: ""
+};
+
+const STATION_DEFAULTS = {
+  id: "default",
+  name: "Default",
   mqttHost: "mqtt://localhost",
   mqttPort: 1883,
   mqttTopic: "birdnet",
@@ -8,22 +22,150 @@ const DEFAULTS = {
   mqttUsername: "",
   mqttPassword: "",
   mqttTls: false,
+  mqttTransport: "",
+  mqttCaPath: "",
+  mqttCertPath: "",
+  mqttKeyPath: "",
+  mqttRejectUnauthorized: true,
+  minConfidence: 0,
+  includeSpecies: "",
+  excludeSpecies: "",
+  confirmCount: 1,
+  confirmMinutes: 10,
+  latitude: "",
+  longitude: "",
+  payloadProfile: "auto"
+};
+
+const TRANSPORT_PORTS = {
+  mqtt: 1883,
+  mqtts: 8883,
+  ws: 80,
+  wss: 443
+};
+
+const KEY_DEFAULTS = {
+  stationId: "",
   payloadKey: "CommonName",
   rotationSeconds: 4,
   epicOccurrenceThreshold: 0.1,
   rareOccurrenceThreshold: 0.4,
   uncommonOccurrenceThreshold: 0.7,
   rareHoldMultiplier: 2,
-  debugLogging: false
+  pressAction: "default",
+  longPressAction: "default",
+  recentCount: 5,
+  newSpeciesAlert: "year",
+  newHoldSeconds: 300,
+  watchlist: "",
+  watchAlertMode: "flash",
+  activityWindow: "hour",
+  activityStyle: "bars",
+  dawnStartHour: 4,
+  dawnEndHour: 9,
+  statsMetric: "species",
+  todaySort: "rarest",
+  todayMinTier: "all",
+  todayGroup: "",
+  todayWindow: "day",
+  imageShowRarity: true,
+  imageShowName: false,
+  imageConfidence: "off",
+  sunEvent: "sunrise",
+  nameDisplay: "common",
+  translateNames: false,
+  watchAlert: null
+};
+
+// Inputs for each payload field of the profile being edited.
+const PROFILE_INPUTS = {
+  name: "profileNamePath",
+  scientificName: "profileScientificNamePath",
+  speciesCode: "profileSpeciesCodePath",
+  confidence: "profileConfidencePath",
+  occurrence: "profileOccurrencePath",
+  timestamp: "profileTimestampPath",
+  imageUrl: "profileImageUrlPath",
+  source: "profileSourcePath"
+};
+
+const PROFILE_FIELD_LABELS = {
+  name: "Name",
+  scientificName: "Scientific",
+  speciesCode: "Code",
+  confidence: "Confidence",
+  occurrence: "Occurrence",
+  timestamp: "Time",
+  imageUrl: "Image",
+  source: "Source"
+};
+
+const DETECTION_PRESS_OPTIONS = [
+  { value: "default", label: "Default" },
+  { value: "cycle", label: "Cycle recent detections" },
+  { value: "latest", label: "Jump to latest" },
+  { value: "none", label: "Do nothing" }
+];
+
+const PRESS_OPTIONS = {
+  "com.pillowfresco.birdnetmqtt.today": [
+    { value: "default", label: "Default" },
+    { value: "next", label: "Next bird" },
+    { value: "pause", label: "Pause / resume rotation" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.lastdetection": DETECTION_PRESS_OPTIONS,
+  "com.pillowfresco.birdnetmqtt.border": DETECTION_PRESS_OPTIONS,
+  "com.pillowfresco.birdnetmqtt.image": [
+    { value: "default", label: "Default" },
+    { value: "cycle", label: "Cycle recent detections" },
+    { value: "latest", label: "Jump to latest" },
+    { value: "credit", label: "Show photo credit" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.watchlist": [
+    { value: "default", label: "Default" },
+    { value: "acknowledge", label: "Acknowledge alert" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.activity": [
+    { value: "default", label: "Default" },
+    { value: "window", label: "Next time window" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.stats": [
+    { value: "default", label: "Default" },
+    { value: "metric", label: "Next statistic" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.recent": [
+    { value: "default", label: "Default" },
+    { value: "older", label: "Older detection" },
+    { value: "newer", label: "Newer detection" },
+    { value: "latest", label: "Jump to latest" },
+    { value: "none", label: "Do nothing" }
+  ],
+  "com.pillowfresco.birdnetmqtt.sun": [
+    { value: "default", label: "Default" },
+    { value: "event", label: "Next sun event" },
+    { value: "none", label: "Do nothing" }
+  ]
 };
 
 let websocket = null;
 let uuid = null;
 let actionContext = null;
 let actionUUID = null;
-let pendingSettings = null;
+const pendingSettings = { global: false, key: false };
 let isSocketOpen = false;
-let globalSettings = { ...DEFAULTS };
+let globalSettings = normalizeGlobalSettings(null);
+let keyStationId = "";
+// A watchlist key's unacknowledged alert, saved by the plugin and passed back untouched.
+let keyWatchAlert = null;
+let imageCredit = null;
+// Sent by the plugin when the inspector opens; the user's own profiles live in the global settings.
+let builtInProfiles = [];
+let editingProfileId = null;
 
 function parseActionInfo(inActionInfo) {
   if (!inActionInfo) {
@@ -54,10 +196,9 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inRegisterEvent, _inInfo,
   const actionInfo = parseActionInfo(inActionInfo);
   actionContext = actionInfo && actionInfo.context ? actionInfo.context : actionContext;
   actionUUID = actionInfo && actionInfo.action ? actionInfo.action : actionUUID;
+  applyActionLayout();
   if (actionInfo && actionInfo.payload && actionInfo.payload.settings) {
-    const settings = { ...DEFAULTS, ...(actionInfo.payload.settings || {}) };
-    lastReceivedSettings = settings;
-    updateForm(settings);
+    updateKeyForm({ ...KEY_DEFAULTS, ...(actionInfo.payload.settings || {}) });
   }
   websocket = new WebSocket(`ws://127.0.0.1:${inPort}`);
 
@@ -79,7 +220,7 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inRegisterEvent, _inInfo,
       context: uuid
     }));
 
-    if (pendingSettings) {
+    if (pendingSettings.global || pendingSettings.key) {
       sendSettings();
     }
     updateDebug();
@@ -102,37 +243,231 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inRegisterEvent, _inInfo,
     }
 
     if (message.event === "didReceiveSettings") {
-      const settings = { ...DEFAULTS, ...globalSettings, ...(message.payload.settings || {}) };
-      updateForm(settings);
+      updateKeyForm({ ...KEY_DEFAULTS, ...(message.payload.settings || {}) });
+    }
+
+    if (message.event === "sendToPropertyInspector" && message.payload && message.payload.settings) {
+      updateKeyForm({ ...KEY_DEFAULTS, ...message.payload.settings });
     }
 
-    if (message.event === "sendToPropertyInspector") {
-      const settings = { ...DEFAULTS, ...globalSettings, ...(message.payload.settings || {}) };
-      updateForm(settings);
+    if (message.event === "sendToPropertyInspector" && message.payload && message.payload.imageCredit) {
+      updateImageCredit(message.payload.imageCredit);
+    }
+
+    if (message.event === "sendToPropertyInspector" && message.payload && message.payload.payloadProfiles) {
+      builtInProfiles = message.payload.payloadProfiles;
+      updateProfileForm();
+      requestPayloadPreview();
+    }
+
+    if (message.event === "sendToPropertyInspector" && message.payload && message.payload.payloadPreview) {
+      updatePayloadPreview(message.payload.payloadPreview);
     }
 
     if (message.event === "didReceiveGlobalSettings") {
-      globalSettings = { ...DEFAULTS, ...(message.payload.settings || {}) };
-      updateForm(globalSettings);
+      globalSettings = normalizeGlobalSettings(message.payload.settings);
+      updateGlobalForm(globalSettings);
+      requestPayloadPreview();
     }
   };
 }
 
-function updateForm(settings) {
-  setValue("mqttHost", settings.mqttHost);
-  setValue("mqttPort", settings.mqttPort);
-  setValue("mqttTopic", settings.mqttTopic);
-  setValue("mqttClientId", settings.mqttClientId);
-  setValue("mqttUsername", settings.mqttUsername);
-  setValue("mqttPassword", settings.mqttPassword);
-  setChecked("mqttTls", settings.mqttTls);
+function applyActionLayout() {
+  const options = PRESS_OPTIONS[actionUUID] || [{ value: "default", label: "Default" }];
+  ["pressAction", "longPressAction"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) {
+      return;
+    }
+    const current = el.value;
+    el.innerHTML = "";
+    options.forEach((option) => {
+      const item = document.createElement("option");
+      item.value = option.value;
+      item.textContent = option.label;
+      el.appendChild(item);
+    });
+    el.value = options.some((option) => option.value === current) ? current : "default";
+  });
+
+  document.querySelectorAll("[data-actions]").forEach((el) => {
+    const actions = el.getAttribute("data-actions").split(/\s+/);
+    el.classList.toggle("hidden", Boolean(actionUUID) && !actions.includes(actionUUID));
+  });
+}
+
+function normalizeGlobalSettings(rawSettings) {
+  const settings = { ...GLOBAL_DEFAULTS, ...(rawSettings || {}) };
+  let stations = Array.isArray(settings.stations) ? settings.stations : [];
+  if (!stations.length && rawSettings && rawSettings.mqttHost) {
+    stations = [{ ...rawSettings, id: STATION_DEFAULTS.id, name: STATION_DEFAULTS.name }];
+  }
+  stations = stations
+    .filter((station) => station && typeof station === "object")
+    .map((station) => {
+      const config = {};
+      Object.keys(STATION_DEFAULTS).forEach((key) => {
+        config[key] = station[key] !== undefined ? station[key] : STATION_DEFAULTS[key];
+      });
+      return config;
+    });
+  return {
+    debugLogging: Boolean(settings.debugLogging),
+    historyRetentionDays: Number(settings.historyRetentionDays) || GLOBAL_DEFAULTS.historyRetentionDays,
+    historyMaxDetections: Number(settings.historyMaxDetections) || GLOBAL_DEFAULTS.historyMaxDetections,
+    imageCacheMegabytes: Number(settings.imageCacheMegabytes) || GLOBAL_DEFAULTS.imageCacheMegabytes,
+    timeZone: typeof settings.timeZone === "string" ? settings.timeZone : GLOBAL_DEFAULTS.timeZone,
+    dayStartHour: Number(settings.dayStartHour) || 0,
+    payloadProfiles: Array.isArray(settings.payloadProfiles) ? settings.payloadProfiles.filter((profile) => profile && profile.id) : [],
+    nameTranslations: typeof settings.nameTranslations === "string" ? settings.nameTranslations : GLOBAL_DEFAULTS.nameTranslations,
+    stations: stations.length ? stations : [{ ...STATION_DEFAULTS }]
+  };
+}
+
+function getSelectedStation() {
+  const stations = globalSettings.stations;
+  return stations.find((station) => station.id === keyStationId) || stations[0];
+}
+
+function updateGlobalForm(settings) {
+  const select = document.getElementById("stationId");
+  if (select) {
+    select.innerHTML = "";
+    settings.stations.forEach((station) => {
+      const item = document.createElement("option");
+      item.value = station.id;
+      item.textContent = station.name;
+      select.appendChild(item);
+    });
+  }
+  updateStationForm(getSelectedStation());
+  setChecked("debugLogging", settings.debugLogging);
+  setValue("historyRetentionDays", settings.historyRetentionDays);
+  setValue("historyMaxDetections", settings.historyMaxDetections);
+  setValue("imageCacheMegabytes", settings.imageCacheMegabytes);
+  setValue("timeZone", settings.timeZone);
+  setValue("dayStartHour", settings.dayStartHour);
+  setValue("nameTranslations", settings.nameTranslations);
+
+  const removeButton = document.getElementById("removeStation");
+  if (removeButton) {
+    removeButton.disabled = settings.stations.length <= 1;
+  }
+}
+
+function updateStationForm(station) {
+  setValue("stationId", station.id);
+  setValue("stationName", station.name);
+  setValue("mqttHost", station.mqttHost);
+  setValue("mqttPort", station.mqttPort);
+  setValue("mqttTopic", station.mqttTopic);
+  setValue("mqttClientId", station.mqttClientId);
+  setValue("mqttUsername", station.mqttUsername);
+  setValue("mqttPassword", station.mqttPassword);
+  setValue("mqttTransport", getTransport(station));
+  setValue("mqttCaPath", station.mqttCaPath);
+  setValue("mqttCertPath", station.mqttCertPath);
+  setValue("mqttKeyPath", station.mqttKeyPath);
+  setChecked("mqttRejectUnauthorized", station.mqttRejectUnauthorized !== false);
+  setValue("minConfidence", station.minConfidence);
+  setValue("includeSpecies", station.includeSpecies);
+  setValue("excludeSpecies", station.excludeSpecies);
+  setValue("confirmCount", station.confirmCount);
+  setValue("confirmMinutes", station.confirmMinutes);
+  setValue("latitude", station.latitude);
+  setValue("longitude", station.longitude);
+  updateProfileForm();
+}
+
+function fillProfileOptions() {
+  const select = document.getElementById("payloadProfile");
+  if (!select) {
+    return;
+  }
+  const current = getSelectedStation().payloadProfile || STATION_DEFAULTS.payloadProfile;
+  const profiles = builtInProfiles.concat(globalSettings.payloadProfiles);
+  // Keep the station's choice selectable even before the built-ins arrive from the plugin.
+  if (!profiles.some((profile) => profile.id === current)) {
+    profiles.unshift({ id: current, name: current });
+  }
+  select.innerHTML = "";
+  profiles.forEach((profile) => {
+    const item = document.createElement("option");
+    item.value = profile.id;
+    item.textContent = profile.name || profile.id;
+    select.appendChild(item);
+  });
+  select.value = current;
+}
+
+// Built-in profiles are shown read only; the user's own can be edited in place.
+function updateProfileForm() {
+  fillProfileOptions();
+  const current = getSelectedStation().payloadProfile || STATION_DEFAULTS.payloadProfile;
+  const custom = globalSettings.payloadProfiles.find((profile) => profile.id === current);
+  const profile = custom || builtInProfiles.find((item) => item.id === current) || null;
+  editingProfileId = custom ? custom.id : null;
+  setValue("profileName", profile ? profile.name : "");
+  setValue("profileConfidenceScale", profile ? profile.confidenceScale || "auto" : "auto");
+  Object.keys(PROFILE_INPUTS).forEach((field) => {
+    setValue(PROFILE_INPUTS[field], profile && profile.paths ? profile.paths[field] : "");
+  });
+  ["profileName", "profileConfidenceScale"].concat(Object.values(PROFILE_INPUTS)).forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) {
+      el.disabled = !custom;
+    }
+  });
+  const removeButton = document.getElementById("removeProfile");
+  if (removeButton) {
+    removeButton.disabled = !custom;
+  }
+}
+
+function getTransport(station) {
+  if (TRANSPORT_PORTS[station.mqttTransport]) {
+    return station.mqttTransport;
+  }
+  const host = (station.mqttHost || "").trim().toLowerCase();
+  const scheme = Object.keys(TRANSPORT_PORTS).find((transport) => host.startsWith(`${transport}://`));
+  if (scheme) {
+    return scheme;
+  }
+  return station.mqttTls ? "mqtts" : "mqtt";
+}
+
+function updateKeyForm(settings) {
+  keyStationId = settings.stationId || "";
+  keyWatchAlert = settings.watchAlert || null;
+  updateStationForm(getSelectedStation());
   setValue("payloadKey", settings.payloadKey);
   setValue("rotationSeconds", settings.rotationSeconds);
   setValue("epicOccurrenceThreshold", settings.epicOccurrenceThreshold);
   setValue("rareOccurrenceThreshold", settings.rareOccurrenceThreshold);
   setValue("uncommonOccurrenceThreshold", settings.uncommonOccurrenceThreshold);
   setValue("rareHoldMultiplier", settings.rareHoldMultiplier);
-  setChecked("debugLogging", settings.debugLogging);
+  setSelect("pressAction", settings.pressAction);
+  setSelect("longPressAction", settings.longPressAction);
+  setValue("recentCount", settings.recentCount);
+  setValue("newSpeciesAlert", settings.newSpeciesAlert);
+  setValue("newHoldSeconds", settings.newHoldSeconds);
+  setValue("watchlist", settings.watchlist);
+  setValue("watchAlertMode", settings.watchAlertMode);
+  setValue("activityWindow", settings.activityWindow);
+  setValue("activityStyle", settings.activityStyle);
+  setValue("dawnStartHour", settings.dawnStartHour);
+  setValue("dawnEndHour", settings.dawnEndHour);
+  setValue("statsMetric", settings.statsMetric);
+  setValue("todaySort", settings.todaySort);
+  setValue("todayMinTier", settings.todayMinTier);
+  setValue("todayGroup", settings.todayGroup);
+  setValue("todayWindow", settings.todayWindow);
+  setChecked("imageShowRarity", settings.imageShowRarity !== false);
+  setChecked("imageShowName", settings.imageShowName);
+  setValue("imageConfidence", settings.imageConfidence);
+  setValue("sunEvent", settings.sunEvent);
+  setValue("nameDisplay", settings.nameDisplay);
+  setChecked("translateNames", settings.translateNames);
 }
 
 function setValue(id, value) {
@@ -142,6 +477,15 @@ function setValue(id, value) {
   }
 }
 
+function setSelect(id, value) {
+  const el = document.getElementById(id);
+  if (!el) {
+    return;
+  }
+  const hasOption = Array.from(el.options).some((option) => option.value === value);
+  el.value = hasOption ? value : "default";
+}
+
 function setChecked(id, value) {
   const el = document.getElementById(id);
   if (el) {
@@ -149,88 +493,489 @@ function setChecked(id, value) {
   }
 }
 
-function gatherSettings() {
+function gatherGlobalSettings() {
+  const selectedId = getSelectedStation().id;
+  const stations = globalSettings.stations.map((station) => {
+    if (station.id !== selectedId) {
+      return station;
+    }
+    return {
+      ...station,
+      name: document.getElementById("stationName").value.trim() || station.id,
+      mqttHost: document.getElementById("mqttHost").value.trim(),
+      mqttPort: Number(document.getElementById("mqttPort").value) || STATION_DEFAULTS.mqttPort,
+      mqttTopic: document.getElementById("mqttTopic").value.trim(),
+      mqttClientId: document.getElementById("mqttClientId").value.trim(),
+      mqttUsername: document.getElementById("mqttUsername").value.trim(),
+      mqttPassword: document.getElementById("mqttPassword").value,
+      mqttTransport: document.getElementById("mqttTransport").value,
+      mqttTls: ["mqtts", "wss"].includes(document.getElementById("mqttTransport").value),
+      mqttCaPath: document.getElementById("mqttCaPath").value.trim(),
+      mqttCertPath: document.getElementById("mqttCertPath").value.trim(),
+      mqttKeyPath: document.getElementById("mqttKeyPath").value.trim(),
+      mqttRejectUnauthorized: document.getElementById("mqttRejectUnauthorized").checked,
+      minConfidence: Number(document.getElementById("minConfidence").value) || 0,
+      includeSpecies: document.getElementById("includeSpecies").value,
+      excludeSpecies: document.getElementById("excludeSpecies").value,
+      confirmCount: Number(document.getElementById("confirmCount").value) || STATION_DEFAULTS.confirmCount,
+      confirmMinutes: Number(document.getElementById("confirmMinutes").value) || STATION_DEFAULTS.confirmMinutes,
+      latitude: document.getElementById("latitude").value.trim(),
+      longitude: document.getElementById("longitude").value.trim(),
+      payloadProfile: document.getElementById("payloadProfile").value || STATION_DEFAULTS.payloadProfile
+    };
+  });
+  const payloadProfiles = globalSettings.payloadProfiles.map((profile) => {
+    if (profile.id !== editingProfileId) {
+      return profile;
+    }
+    const paths = {};
+    Object.keys(PROFILE_INPUTS).forEach((field) => {
+      paths[field] = document.getElementById(PROFILE_INPUTS[field]).value.trim();
+    });
+    return {
+      ...profile,
+      name: document.getElementById("profileName").value.trim() || profile.id,
+      confidenceScale: document.getElementById("profileConfidenceScale").value || "auto",
+      paths
+    };
+  });
+  return {
+    ...globalSettings,
+    stations,
+    payloadProfiles,
+    debugLogging: document.getElementById("debugLogging").checked,
+    historyRetentionDays: Number(document.getElementById("historyRetentionDays").value) || GLOBAL_DEFAULTS.historyRetentionDays,
+    historyMaxDetections: Number(document.getElementById("historyMaxDetections").value) || GLOBAL_DEFAULTS.historyMaxDetections,
+    imageCacheMegabytes: Number(document.getElementById("imageCacheMegabytes").value) || GLOBAL_DEFAULTS.imageCacheMegabytes,
+    timeZone: document.getElementById("timeZone").value.trim(),
+    dayStartHour: Number(document.getElementById("dayStartHour").value) || 0,
+    nameTranslations: document.getElementById("nameTranslations").value
+  };
+}
+
+function gatherKeySettings() {
   return {
-    mqttHost: document.getElementById("mqttHost").value.trim(),
-    mqttPort: Number(document.getElementById("mqttPort").value) || DEFAULTS.mqttPort,
-    mqttTopic: document.getElementById("mqttTopic").value.trim(),
-    mqttClientId: document.getElementById("mqttClientId").value.trim(),
-    mqttUsername: document.getElementById("mqttUsername").value.trim(),
-    mqttPassword: document.getElementById("mqttPassword").value,
-    mqttTls: document.getElementById("mqttTls").checked,
+    stationId: keyStationId,
     payloadKey: document.getElementById("payloadKey").value.trim(),
-    rotationSeconds: Number(document.getElementById("rotationSeconds").value) || DEFAULTS.rotationSeconds,
-    epicOccurrenceThreshold: Number(document.getElementById("epicOccurrenceThreshold").value) || DEFAULTS.epicOccurrenceThreshold,
-    rareOccurrenceThreshold: Number(document.getElementById("rareOccurrenceThreshold").value) || DEFAULTS.rareOccurrenceThreshold,
-    uncommonOccurrenceThreshold: Number(document.getElementById("uncommonOccurrenceThreshold").value) || DEFAULTS.uncommonOccurrenceThreshold,
-    rareHoldMultiplier: Number(document.getElementById("rareHoldMultiplier").value) || DEFAULTS.rareHoldMultiplier,
-    debugLogging: document.getElementById("debugLogging").checked
+    rotationSeconds: Number(document.getElementById("rotationSeconds").value) || KEY_DEFAULTS.rotationSeconds,
+    epicOccurrenceThreshold: Number(document.getElementById("epicOccurrenceThreshold").value) || KEY_DEFAULTS.epicOccurrenceThreshold,
+    rareOccurrenceThreshold: Number(document.getElementById("rareOccurrenceThreshold").value) || KEY_DEFAULTS.rareOccurrenceThreshold,
+    uncommonOccurrenceThreshold: Number(document.getElementById("uncommonOccurrenceThreshold").value) || KEY_DEFAULTS.uncommonOccurrenceThreshold,
+    rareHoldMultiplier: Number(document.getElementById("rareHoldMultiplier").value) || KEY_DEFAULTS.rareHoldMultiplier,
+    pressAction: document.getElementById("pressAction").value || KEY_DEFAULTS.pressAction,
+    longPressAction: document.getElementById("longPressAction").value || KEY_DEFAULTS.longPressAction,
+    recentCount: Number(document.getElementById("recentCount").value) || KEY_DEFAULTS.recentCount,
+    newSpeciesAlert: document.getElementById("newSpeciesAlert").value || KEY_DEFAULTS.newSpeciesAlert,
+    newHoldSeconds: Number(document.getElementById("newHoldSeconds").value) || KEY_DEFAULTS.newHoldSeconds,
+    watchlist: document.getElementById("watchlist").value,
+    watchAlertMode: document.getElementById("watchAlertMode").value || KEY_DEFAULTS.watchAlertMode,
+    activityWindow: document.getElementById("activityWindow").value || KEY_DEFAULTS.activityWindow,
+    activityStyle: document.getElementById("activityStyle").value || KEY_DEFAULTS.activityStyle,
+    dawnStartHour: Number(document.getElementById("dawnStartHour").value) || 0,
+    dawnEndHour: Number(document.getElementById("dawnEndHour").value) || KEY_DEFAULTS.dawnEndHour,
+    statsMetric: document.getElementById("statsMetric").value || KEY_DEFAULTS.statsMetric,
+    todaySort: document.getElementById("todaySort").value || KEY_DEFAULTS.todaySort,
+    todayMinTier: document.getElementById("todayMinTier").value || KEY_DEFAULTS.todayMinTier,
+    todayGroup: document.getElementById("todayGroup").value.trim(),
+    todayWindow: document.getElementById("todayWindow").value || KEY_DEFAULTS.todayWindow,
+    imageShowRarity: document.getElementById("imageShowRarity").checked,
+    imageShowName: document.getElementById("imageShowName").checked,
+    imageConfidence: document.getElementById("imageConfidence").value || KEY_DEFAULTS.imageConfidence,
+    sunEvent: document.getElementById("sunEvent").value || KEY_DEFAULTS.sunEvent,
+    nameDisplay: document.getElementById("nameDisplay").value || KEY_DEFAULTS.nameDisplay,
+    translateNames: document.getElementById("translateNames").checked,
+    watchAlert: keyWatchAlert
   };
 }
 
-function sendSettings() {
+function sendSettings(scope) {
   if (!websocket || !uuid) {
     return;
   }
 
-  const settings = gatherSettings();
-  pendingSettings = settings;
+  if (scope === "global" || scope === "key") {
+    pendingSettings[scope] = true;
+  }
 
   if (!isSocketOpen || websocket.readyState !== WebSocket.OPEN) {
     return;
   }
 
   try {
-    websocket.send(JSON.stringify({
-      event: "setSettings",
-      context: uuid,
-      action: actionUUID,
-      payload: settings
-    }));
-    websocket.send(JSON.stringify({
-      event: "setGlobalSettings",
-      context: uuid,
-      payload: settings
-    }));
-    pendingSettings = null;
+    if (pendingSettings.key) {
+      websocket.send(JSON.stringify({
+        event: "setSettings",
+        context: uuid,
+        action: actionUUID,
+        payload: gatherKeySettings()
+      }));
+      pendingSettings.key = false;
+    }
+    if (pendingSettings.global) {
+      websocket.send(JSON.stringify({
+        event: "setGlobalSettings",
+        context: uuid,
+        payload: globalSettings
+      }));
+      pendingSettings.global = false;
+    }
   } catch (err) {
     // ignore
   }
 }
 
 function bindInputs() {
-  const ids = [
-    "mqttHost",
-    "mqttPort",
-    "mqttTopic",
-    "mqttClientId",
-    "mqttUsername",
-    "mqttPassword",
-    "mqttTls",
-    "payloadKey",
-    "rotationSeconds",
-    "epicOccurrenceThreshold",
-    "rareOccurrenceThreshold",
-    "uncommonOccurrenceThreshold",
-    "rareHoldMultiplier",
-    "debugLogging"
-  ];
-
-  ids.forEach((id) => {
-    const el = document.getElementById(id);
-    if (!el) {
-      return;
-    }
+  const scopes = {
+    global: [
+      "stationName",
+      "mqttHost",
+      "mqttPort",
+      "mqttTopic",
+      "mqttClientId",
+      "mqttUsername",
+      "mqttPassword",
+      "mqttTransport",
+      "mqttCaPath",
+      "mqttCertPath",
+      "mqttKeyPath",
+      "mqttRejectUnauthorized",
+      "minConfidence",
+      "includeSpecies",
+      "excludeSpecies",
+      "confirmCount",
+      "confirmMinutes",
+      "latitude",
+      "longitude",
+      "payloadProfile",
+      "profileName",
+      "profileNamePath",
+      "profileScientificNamePath",
+      "profileSpeciesCodePath",
+      "profileConfidencePath",
+      "profileConfidenceScale",
+      "profileOccurrencePath",
+      "profileTimestampPath",
+      "profileImageUrlPath",
+      "profileSourcePath",
+      "debugLogging",
+      "historyRetentionDays",
+      "historyMaxDetections",
+      "imageCacheMegabytes",
+      "timeZone",
+      "dayStartHour",
+      "nameTranslations"
+    ],
+    key: [
+      "payloadKey",
+      "rotationSeconds",
+      "epicOccurrenceThreshold",
+      "rareOccurrenceThreshold",
+      "uncommonOccurrenceThreshold",
+      "rareHoldMultiplier",
+      "pressAction",
+      "longPressAction",
+      "recentCount",
+      "newSpeciesAlert",
+      "newHoldSeconds",
+      "watchlist",
+      "watchAlertMode",
+      "activityWindow",
+      "activityStyle",
+      "dawnStartHour",
+      "dawnEndHour",
+      "statsMetric",
+      "todaySort",
+      "todayMinTier",
+      "todayGroup",
+      "todayWindow",
+      "imageShowRarity",
+      "imageShowName",
+      "imageConfidence",
+      "sunEvent",
+      "nameDisplay",
+      "translateNames"
+    ]
+  };
 
-    const eventName = el.type === "checkbox" ? "change" : "input";
-    el.addEventListener(eventName, () => {
-      sendSettings();
+  // Registered first so the hints adjust the form before it is gathered and sent.
+  bindTransportHints();
+
+  Object.keys(scopes).forEach((scope) => {
+    scopes[scope].forEach((id) => {
+      const el = document.getElementById(id);
+      if (!el) {
+        return;
+      }
+
+      const eventName = el.type === "checkbox" || el.tagName === "SELECT" ? "change" : "input";
+      el.addEventListener(eventName, () => {
+        if (scope === "global") {
+          globalSettings = gatherGlobalSettings();
+          requestPayloadPreview();
+        }
+        sendSettings(scope);
+      });
     });
   });
 
+  const profileSelect = document.getElementById("payloadProfile");
+  if (profileSelect) {
+    profileSelect.addEventListener("change", () => {
+      updateProfileForm();
+    });
+  }
+
+  const profileName = document.getElementById("profileName");
+  if (profileName) {
+    profileName.addEventListener("input", () => {
+      fillProfileOptions();
+    });
+  }
+
+  const addProfileButton = document.getElementById("addProfile");
+  if (addProfileButton) {
+    addProfileButton.addEventListener("click", () => {
+      addProfile();
+    });
+  }
+
+  const removeProfileButton = document.getElementById("removeProfile");
+  if (removeProfileButton) {
+    removeProfileButton.addEventListener("click", () => {
+      removeProfile();
+    });
+  }
+
+  const sample = document.getElementById("payloadSample");
+  if (sample) {
+    sample.addEventListener("input", () => {
+      requestPayloadPreview();
+    });
+  }
+
+  const stationSelect = document.getElementById("stationId");
+  if (stationSelect) {
+    stationSelect.addEventListener("change", () => {
+      keyStationId = stationSelect.value;
+      updateStationForm(getSelectedStation());
+      sendSettings("key");
+      requestPayloadPreview();
+    });
+  }
+
+  const addButton = document.getElementById("addStation");
+  if (addButton) {
+    addButton.addEventListener("click", () => {
+      addStation();
+    });
+  }
+
+  const removeButton = document.getElementById("removeStation");
+  if (removeButton) {
+    removeButton.addEventListener("click", () => {
+      removeStation();
+    });
+  }
+
+  const sourceButton = document.getElementById("openImageSource");
+  if (sourceButton) {
+    sourceButton.addEventListener("click", () => {
+      openUrl(imageCredit && (imageCredit.authorUrl || imageCredit.imageUrl));
+    });
+  }
+
+  const licenseButton = document.getElementById("openImageLicense");
+  if (licenseButton) {
+    licenseButton.addEventListener("click", () => {
+      openUrl(imageCredit && imageCredit.licenseUrl);
+    });
+  }
+}
+
+// The plugin sends the credit of the photo the key is showing whenever it changes.
+function updateImageCredit(credit) {
+  imageCredit = credit;
+  const text = document.getElementById("imageCredit");
+  if (text) {
+    const parts = [
+      credit.author ? `© ${credit.author}` : "",
+      credit.license,
+      credit.source ? `via ${credit.source}` : ""
+    ].filter(Boolean);
+    if (!credit.imageUrl) {
+      text.textContent = "No photo yet";
+    } else {
+      text.textContent = parts.length ? parts.join(" · ") : "No credit was sent with this photo";
+    }
+  }
+  const sourceButton = document.getElementById("openImageSource");
+  if (sourceButton) {
+    sourceButton.disabled = !(credit.authorUrl || credit.imageUrl);
+  }
+  const licenseButton = document.getElementById("openImageLicense");
+  if (licenseButton) {
+    licenseButton.disabled = !credit.licenseUrl;
+  }
+}
+
+// The plugin parses the sample with the same code it uses for MQTT messages, so the preview cannot drift from it.
+function requestPayloadPreview() {
+  const sample = document.getElementById("payloadSample");
+  if (!sample || !sample.value.trim()) {
+    updatePayloadPreview(null);
+    return;
+  }
+  if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  websocket.send(JSON.stringify({
+    event: "sendToPlugin",
+    action: actionUUID,
+    context: uuid,
+    payload: {
+      previewPayload: {
+        text: sample.value,
+        profileId: getSelectedStation().payloadProfile,
+        profiles: globalSettings.payloadProfiles
+      }
+    }
+  }));
+}
+
+function updatePayloadPreview(preview) {
+  const container = document.getElementById("payloadPreview");
+  if (!container) {
+    return;
+  }
+  container.innerHTML = "";
+  if (!preview) {
+    return;
+  }
+  if (!preview.json) {
+    container.textContent = "Not JSON, so the whole message is used as the name";
+    return;
+  }
+  preview.fields.forEach((item) => {
+    const line = document.createElement("div");
+    const label = PROFILE_FIELD_LABELS[item.field] || item.field;
+    line.textContent = item.path ? `${label}: ${item.value} ← ${item.path}` : `${label}: not found`;
+    container.appendChild(line);
+  });
+}
+
+function openUrl(url) {
+  if (!url || !websocket || websocket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  websocket.send(JSON.stringify({
+    event: "openUrl",
+    payload: { url }
+  }));
+}
+
+// Keep the transport, host scheme and default port in step while editing.
+function bindTransportHints() {
+  const hostInput = document.getElementById("mqttHost");
+  const transportSelect = document.getElementById("mqttTransport");
+  const portInput = document.getElementById("mqttPort");
+  if (!hostInput || !transportSelect || !portInput) {
+    return;
+  }
+
+  let previousTransport = transportSelect.value;
+  transportSelect.addEventListener("focus", () => {
+    previousTransport = transportSelect.value;
+  });
+  transportSelect.addEventListener("change", () => {
+    const port = Number(portInput.value);
+    if (!port || port === TRANSPORT_PORTS[previousTransport]) {
+      portInput.value = TRANSPORT_PORTS[transportSelect.value];
+    }
+    const host = hostInput.value.trim();
+    if (/^[a-z]+:\/\//i.test(host)) {
+      hostInput.value = host.replace(/^[a-z]+:\/\//i, `${transportSelect.value}://`);
+    }
+    previousTransport = transportSelect.value;
+  });
+
+  hostInput.addEventListener("input", () => {
+    const host = hostInput.value.trim().toLowerCase();
+    const scheme = Object.keys(TRANSPORT_PORTS).find((transport) => host.startsWith(`${transport}://`));
+    if (scheme && scheme !== transportSelect.value) {
+      transportSelect.value = scheme;
+    }
+  });
+}
+
+function addStation() {
+  const stamp = Date.now().toString(36);
+  const number = globalSettings.stations.length + 1;
+  const station = {
+    ...STATION_DEFAULTS,
+    id: `station-${stamp}`,
+    name: `Station ${number}`,
+    mqttClientId: `${STATION_DEFAULTS.mqttClientId}-${stamp}`
+  };
+  globalSettings = { ...globalSettings, stations: globalSettings.stations.concat(station) };
+  keyStationId = station.id;
+  updateGlobalForm(globalSettings);
+  sendSettings("global");
+  sendSettings("key");
+}
+
+// New profiles start as a copy of the station's current one, built-in or not.
+function addProfile() {
+  const station = getSelectedStation();
+  const base = builtInProfiles.concat(globalSettings.payloadProfiles).find((profile) => profile.id === station.payloadProfile) || builtInProfiles[0];
+  const profile = {
+    id: `profile-${Date.now().toString(36)}`,
+    name: base ? `${base.name} copy` : "New format",
+    confidenceScale: base ? base.confidenceScale || "auto" : "auto",
+    paths: { ...(base ? base.paths : {}) }
+  };
+  globalSettings = {
+    ...globalSettings,
+    payloadProfiles: globalSettings.payloadProfiles.concat(profile),
+    stations: globalSettings.stations.map((item) => (item.id === station.id ? { ...item, payloadProfile: profile.id } : item))
+  };
+  updateGlobalForm(globalSettings);
+  sendSettings("global");
+  requestPayloadPreview();
+}
+
+// Stations that used the deleted profile go back to detecting the format.
+function removeProfile() {
+  if (!editingProfileId) {
+    return;
+  }
+  const removedId = editingProfileId;
+  globalSettings = {
+    ...globalSettings,
+    payloadProfiles: globalSettings.payloadProfiles.filter((profile) => profile.id !== removedId),
+    stations: globalSettings.stations.map((station) => (station.payloadProfile === removedId ? { ...station, payloadProfile: STATION_DEFAULTS.payloadProfile } : station))
+  };
+  updateGlobalForm(globalSettings);
+  sendSettings("global");
+  requestPayloadPreview();
+}
+
+function removeStation() {
+  if (globalSettings.stations.length <= 1) {
+    return;
+  }
+  const selectedId = getSelectedStation().id;
+  globalSettings = {
+    ...globalSettings,
+    stations: globalSettings.stations.filter((station) => station.id !== selectedId)
+  };
+  keyStationId = globalSettings.stations[0].id;
+  updateGlobalForm(globalSettings);
+  sendSettings("global");
+  sendSettings("key");
 }
 
 document.addEventListener("DOMContentLoaded", () => {
+  applyActionLayout();
   bindInputs();
 });
 